@@ -6,13 +6,73 @@ const configuration = {
 
 const configurationDimension = {
     height: process.env.DIMENSION_HEIGHT || 600,
+    minHeight: process.env.DIMENSION_MIN_HEIGHT || 0,
+    minWidth: process.env.DIMENSION_MIN_WIDTH || 0,
     width: process.env.DIMENSION_WIDTH || 600
 }
 
 const configurationLayout = {
+    align: process.env.LAYOUT_ALIGN || "top",
+    bandPadding: process.env.LAYOUT_BAND_PADDING || 0.94,
+    curve: process.env.LAYOUT_CURVE || 0.5,
+    labelBackgroundHeight: process.env.LAYOUT_LABEL_BACKGROUND_HEIGHT || 1.4,
+    labelLineHeight: process.env.LAYOUT_LABEL_LINE_HEIGHT || 1.2,
+    labelMaxWidth: process.env.LAYOUT_LABEL_MAX_WIDTH || null,
+    labelMinPercent: process.env.LAYOUT_LABEL_MIN_PERCENT || 0,
+    labelOverflow: process.env.LAYOUT_LABEL_OVERFLOW || "truncate",
+    order: process.env.LAYOUT_ORDER || "value",
+    orientation: process.env.LAYOUT_ORIENTATION || "vertical",
+    paddingAnnotations: process.env.LAYOUT_PADDING_ANNOTATIONS || null,
     paddingStackCell: process.env.LAYOUT_PADDING_STACK_CELL || configurationDimension.height * .02,
-    paddingStackText: process.env.LAYOUT_PADDING_STACK_TEXT || 2
+    paddingStackText: process.env.LAYOUT_PADDING_STACK_TEXT || 2,
+    scale: process.env.LAYOUT_SCALE || "independent"
 }
 
-export { configuration, configurationDimension, configurationLayout };
+const configurationStyle = {
+    fontFamily: process.env.STYLE_FONT_FAMILY || "sans-serif",
+    opacityDimmed: process.env.STYLE_OPACITY_DIMMED || 0.2,
+    renderer: process.env.STYLE_RENDERER || "svg"
+}
+
+const configurationTransition = {
+    duration: process.env.TRANSITION_DURATION || 0,
+    frameDuration: process.env.TRANSITION_FRAME_DURATION || 1000
+}
+
+const configurationOptions = {
+    align: configurationLayout.align,
+    bandPadding: configurationLayout.bandPadding,
+    color: null,
+    curve: configurationLayout.curve,
+    frameDuration: configurationTransition.frameDuration,
+    frameLoop: false,
+    height: configurationDimension.height,
+    includeValueInLabel: true,
+    labelBackgroundHeight: configurationLayout.labelBackgroundHeight,
+    labelLineHeight: configurationLayout.labelLineHeight,
+    labelMaxWidth: configurationLayout.labelMaxWidth,
+    labelMinPercent: configurationLayout.labelMinPercent,
+    labelOverflow: configurationLayout.labelOverflow,
+    minHeight: configurationDimension.minHeight,
+    minWidth: configurationDimension.minWidth,
+    opacityDimmed: configurationStyle.opacityDimmed,
+    order: configurationLayout.order,
+    orientation: configurationLayout.orientation,
+    otherLabel: "Other",
+    otherLimit: null,
+    otherMinPercent: 0,
+    otherMinValue: 0,
+    paddingAnnotations: configurationLayout.paddingAnnotations,
+    paddingStackCell: configurationLayout.paddingStackCell,
+    paddingStackText: configurationLayout.paddingStackText,
+    renderer: configurationStyle.renderer,
+    resizeDelay: 100,
+    responsive: false,
+    scale: configurationLayout.scale,
+    strict: false,
+    transitionDuration: configurationTransition.duration,
+    width: configurationDimension.width
+}
+
+export { configuration, configurationDimension, configurationLayout, configurationOptions, configurationStyle, configurationTransition };
 export default configuration;
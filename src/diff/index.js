@@ -0,0 +1,109 @@
+import { sum } from "d3-array";
+
+/**
+ * Index the items and connections of one dataset.
+ * @param {object} data - validated stacks and connections
+ * @returns An object with a map of item key to stack, value and share and a map of connection id to connection.
+ */
+function indexData(data) {
+
+    let items = new Map();
+    let connections = new Map();
+
+    (data ? data.stacks : []).forEach(s => {
+
+        let stackKey = Object.keys(s)[0];
+        let total = sum(Object.values(s[stackKey]));
+
+        Object.keys(s[stackKey]).forEach(key => items.set(key, {
+            share: total == 0 ? 0 : (s[stackKey][key] / total) * 100,
+            stack: stackKey,
+            value: s[stackKey][key]
+        }));
+
+    });
+
+    (data ? data.connections : []).forEach(c => connections.set(JSON.stringify([c.source, c.target]), c));
+
+    return { connections: connections, items: items };
+
+}
+
+/**
+ * Describe how a value moved between two datasets.
+ * @param {any} previous - value in the older dataset, undefined when missing
+ * @param {any} current - value in the newer dataset, undefined when missing
+ * @returns A string which is added, removed, increased, decreased or unchanged.
+ */
+function diffStatus(previous, current) {
+    if (previous === undefined) return "added";
+    if (current === undefined) return "removed";
+    if (typeof(previous) != "number" || typeof(current) != "number" || previous === current) return "unchanged";
+    return current > previous ? "increased" : "decreased";
+}
+
+/**
+ * Compare two datasets item by item and connection by connection.
+ * @param {object} previous - older validated stacks and connections
+ * @param {object} current - newer validated stacks and connections
+ * @returns An object with arrays of item and connection changes, each with previous and current values, the delta between them and a status.
+ */
+function diffData(previous, current) {
+
+    let before = indexData(previous);
+    let after = indexData(current);
+
+    // newer order first then anything only in the older dataset
+    let itemKeys = [...new Set([...after.items.keys(), ...before.items.keys()])];
+    let connectionIds = [...new Set([...after.connections.keys(), ...before.connections.keys()])];
+
+    let items = itemKeys.map(key => {
+
+        let a = before.items.get(key);
+        let b = after.items.get(key);
+
+        return {
+            current: b ? b.value : null,
+            delta: (b ? b.value : 0) - (a ? a.value : 0),
+            key: key,
+            previous: a ? a.value : null,
+            share: {
+                current: b ? b.share : null,
+                delta: (b ? b.share : 0) - (a ? a.share : 0),
+                previous: a ? a.share : null
+            },
+            stack: b ? b.stack : a.stack,
+            status: diffStatus(a ? a.value : undefined, b ? b.value : undefined)
+        };
+
+    });
+
+    let connections = connectionIds.map(id => {
+
+        let a = before.connections.get(id);
+        let b = after.connections.get(id);
+        let [source, target] = JSON.parse(id);
+
+        let previousValue = a && typeof(a.value) == "number" ? a.value : null;
+        let currentValue = b && typeof(b.value) == "number" ? b.value : null;
+
+        return {
+            current: currentValue,
+            delta: (a && previousValue === null) || (b && currentValue === null) ? null : (currentValue || 0) - (previousValue || 0),
+            previous: previousValue,
+            source: source,
+            status: diffStatus(a ? previousValue : undefined, b ? currentValue : undefined),
+            target: target
+        };
+
+    });
+
+    return {
+        connections: connections,
+        items: items
+    };
+
+}
+
+export { diffData };
+export default diffData;
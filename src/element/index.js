@@ -0,0 +1,212 @@
+import { configuration, configurationOptions } from "../configuration.js";
+import { generateStylesheet } from "../style/index.js";
+import { StackedConnections } from "../visualization/index.js";
+
+/**
+ * Chart events re-sent from the element as DOM events.
+ */
+const elementEvents = [
+    "barclick",
+    "barmouseout",
+    "barmouseover",
+    "connectionclick",
+    "connectionmouseout",
+    "connectionmouseover",
+    "framechange",
+    "othercollapse",
+    "otherexpand",
+    "render",
+    "selectionchange",
+    "update"
+];
+
+/**
+ * Option for every attribute, e.g. padding-stack-cell for paddingStackCell.
+ */
+const elementAttributes = new Map(Object.keys(configurationOptions)
+    .filter(d => d !== "transitionEase")
+    .map(d => [d.replace(/[A-Z]/g, x => `-${x.toLowerCase()}`), d]));
+
+/**
+ * Convert an attribute value into an option value.
+ * @param {string} value - attribute value, NULL when removed
+ * @param {string} key - option the attribute maps to
+ * @returns The default for a removed attribute, TRUE for an empty one, parsed JSON for an object or array and the string as is otherwise since options are converted on validation.
+ */
+function parseAttribute(value, key) {
+
+    if (value === null) return configurationOptions[key];
+    if (value === "") return true;
+
+    // objects and arrays such as color or an explicit order
+    if (/^\s*[\[{]/.test(value)) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            console.warn(`${configuration.name}: ${key} attribute is not valid JSON`, error);
+        }
+    }
+
+    return value;
+
+}
+
+/**
+ * Construct the custom element class for a window.
+ * @param {window} view - window whose HTMLElement the element extends
+ * @returns A class to register with customElements.define().
+ */
+function generateElement(view=window) {
+
+    /**
+     * StackedConnectionsElement renders a StackedConnections chart in its shadow root from a data property or JSON data attribute and option attributes.
+     */
+    class StackedConnectionsElement extends view.HTMLElement {
+
+        static get observedAttributes() {
+            return ["data"].concat([...elementAttributes.keys()]);
+        }
+
+        /**
+         * Get the chart data.
+         * @returns An object with stacks and connections.
+         */
+        get data() {
+            return this.dataSource === undefined ? null : this.dataSource;
+        }
+
+        /**
+         * Change the chart data and render again.
+         * @param {object} data - stacks and connections as described in the README
+         */
+        set data(data) {
+
+            // update self
+            this.dataSource = data;
+
+            if (this.chart) this.chart.update(data, this.chart.width, this.chart.height);
+
+        }
+
+        /**
+         * Get the css injected into the shadow root.
+         * @returns A string of css.
+         */
+        get stylesheet() {
+            return this.stylesheetSource ? this.stylesheetSource : `:host { display: block; }\n${generateStylesheet(configuration.name)}`;
+        }
+
+        /**
+         * Replace the css injected into the shadow root.
+         * @param {string} css - stylesheet, NULL for the default
+         */
+        set stylesheet(css) {
+
+            // update self
+            this.stylesheetSource = css;
+
+            if (this.shadowRoot) this.shadowRoot.querySelector("style").textContent = this.stylesheet;
+
+        }
+
+        /**
+         * Apply a changed attribute to the chart.
+         * @param {string} name - attribute name
+         * @param {string} previous - value before the change
+         * @param {string} value - value after the change, NULL when removed
+         */
+        attributeChangedCallback(name, previous, value) {
+
+            if (previous === value) return;
+
+            if (name === "data") {
+
+                try {
+                    this.data = value === null ? null : JSON.parse(value);
+                } catch (error) {
+                    console.warn(`${configuration.name}: data attribute is not valid JSON`, error);
+                }
+
+                return;
+
+            }
+
+            let key = elementAttributes.get(name);
+
+            if (this.chart) this.chart.setOptions({ [key]: parseAttribute(value, key) });
+
+        }
+
+        /**
+         * Render into the shadow root when added to the page.
+         */
+        connectedCallback() {
+
+            if (this.chart) return;
+
+            let root = this.shadowRoot ? this.shadowRoot : this.attachShadow({ mode: "open" });
+
+            root.innerHTML = "";
+
+            let style = root.appendChild(this.ownerDocument.createElement("style"));
+            let container = root.appendChild(this.ownerDocument.createElement("div"));
+
+            style.textContent = this.stylesheet;
+
+            // data set as a property before connecting wins over the attribute
+            if (this.dataSource === undefined && this.hasAttribute("data")) this.attributeChangedCallback("data", null, this.getAttribute("data"));
+
+            let options = Object.fromEntries([...elementAttributes]
+                .filter(d => this.hasAttribute(d[0]))
+                .map(d => [d[1], parseAttribute(this.getAttribute(d[0]), d[1])]));
+
+            // update self
+            this.chart = new StackedConnections(this.data, options);
+
+            // events do not leave the shadow root on their own
+            elementEvents.forEach(type => this.chart.on(type, e => this.dispatchEvent(new view.CustomEvent(type, {
+                bubbles: true,
+                composed: true,
+                detail: e.detail
+            }))));
+
+            this.chart.render(container);
+
+        }
+
+        /**
+         * Tear the chart down when removed from the page.
+         */
+        disconnectedCallback() {
+
+            if (this.chart) this.chart.destroy();
+
+            // update self
+            this.chart = null;
+
+        }
+
+    }
+
+    return StackedConnectionsElement;
+
+}
+
+/**
+ * Register the custom element.
+ * @param {string} name - tag name
+ * @param {window} view - window to register in
+ * @returns The registered class, or NULL where custom elements are not available.
+ */
+function defineElement(name="stacked-connections", view=typeof window === "undefined" ? null : window) {
+
+    if (!view || !view.customElements) return null;
+
+    if (!view.customElements.get(name)) view.customElements.define(name, generateElement(view));
+
+    return view.customElements.get(name);
+
+}
+
+export { defineElement, elementAttributes, elementEvents, generateElement };
+export default defineElement;
@@ -0,0 +1,94 @@
+import { sum } from "d3-array";
+
+/**
+ * Fold the small items of each stack into a single "Other" item and merge their connections.
+ * @param {object} data - validated stacks and connections
+ * @param {object} options - limit to keep the largest items, minValue and minPercent to keep items at or above a value or share of their stack, label for the folded item and expanded stack keys left as is
+ * @returns An object with data where folded items are replaced and a map of each Other item key to its label, stack, value and folded item keys.
+ */
+function foldData(data, { expanded=[], label="Other", limit=null, minPercent=0, minValue=0 }={}) {
+
+    let others = new Map();
+
+    // nothing to fold unless a rule is set
+    if (!data || (limit === null && !minPercent && !minValue)) return { data: data, others: others };
+
+    let folded = new Map();
+
+    let stacks = data.stacks.map(s => {
+
+        let stackKey = Object.keys(s)[0];
+        let items = s[stackKey];
+        let total = sum(Object.values(items));
+
+        if (expanded.includes(stackKey)) return s;
+
+        // rank by value so the limit keeps the largest
+        let ranked = Object.keys(items).sort((a,b) => items[b] - items[a] || a.localeCompare(b));
+
+        let isKept = (key, i) => (limit === null || i < limit) &&
+            items[key] >= minValue &&
+            (total == 0 || (items[key] / total) * 100 >= minPercent);
+
+        let dropped = ranked.filter((key, i) => !isKept(key, i));
+
+        if (dropped.length == 0) return s;
+
+        // stack key keeps the item key unique across stacks
+        let otherKey = `${label} (${stackKey})`;
+        let result = {};
+
+        Object.keys(items).filter(key => !dropped.includes(key)).forEach(key => result[key] = items[key]);
+        result[otherKey] = sum(dropped.map(key => items[key]));
+
+        dropped.forEach(key => folded.set(key, otherKey));
+        others.set(otherKey, { key: otherKey, keys: dropped, label: label, stack: stackKey, value: result[otherKey] });
+
+        return { [stackKey]: result };
+
+    });
+
+    // connections sharing both ends after folding become one
+    let groups = new Map();
+
+    data.connections.forEach(c => {
+
+        let source = folded.get(c.source) || c.source;
+        let target = folded.get(c.target) || c.target;
+        let id = JSON.stringify([source, target]);
+
+        if (!groups.has(id)) groups.set(id, { connections: [], source: source, target: target });
+
+        groups.get(id).connections.push(c);
+
+    });
+
+    let connections = [...groups.values()].map(g => {
+
+        let first = g.connections[0];
+
+        // untouched connections keep their identity
+        if (g.connections.length == 1 && first.source === g.source && first.target === g.target) return first;
+
+        let hasValues = g.connections.every(d => typeof(d.value) == "number");
+        let focuses = [...new Set(g.connections.map(d => d.focus))];
+
+        return {
+            connections: g.connections,
+            focus: focuses.length == 1 ? focuses[0] : null,
+            source: g.source,
+            target: g.target,
+            value: hasValues ? sum(g.connections.map(d => d.value)) : null
+        };
+
+    });
+
+    return {
+        data: { stacks: stacks, connections: connections },
+        others: others
+    };
+
+}
+
+export { foldData };
+export default foldData;
@@ -0,0 +1,273 @@
+/**
+ * ConnectionGraph indexes stack items as nodes and connections as directed edges so paths can be traced by key instead of by string matching.
+ * @param {object} data - validated stacks and connections as described in the README
+ */
+class ConnectionGraph {
+    constructor(data) {
+
+        // update self
+        this.connections = [];
+        this.countsFrom = new Map();
+        this.countsTo = new Map();
+        this.nodes = new Map();
+
+        let stacks = data && Array.isArray(data.stacks) ? data.stacks : [];
+        let connections = data && Array.isArray(data.connections) ? data.connections : [];
+
+        // one node per item
+        stacks.forEach((s, i) => {
+
+            let stackKey = Object.keys(s)[0];
+
+            Object.keys(s[stackKey]).forEach(key => this.nodes.set(key, {
+                incoming: [],
+                key: key,
+                outgoing: [],
+                stack: stackKey,
+                stackIndex: i,
+                value: s[stackKey][key]
+            }));
+
+        });
+
+        // one edge per connection between known items
+        connections.forEach(c => {
+
+            if (!this.nodes.has(c.source) || !this.nodes.has(c.target)) return;
+
+            this.connections.push(c);
+            this.nodes.get(c.source).outgoing.push(c);
+            this.nodes.get(c.target).incoming.push(c);
+
+        });
+
+    }
+
+    /**
+     * Construct a path object from a chain of connections.
+     * @param {array} connections - connection objects where each target is the next source
+     * @returns An object with item keys and connections in order.
+     */
+    generatePath(connections) {
+        return {
+            connections: connections,
+            keys: [connections[0].source].concat(connections.map(d => d.target))
+        };
+    }
+
+    /**
+     * Collect every item and connection reachable in one direction.
+     * @param {string} key - item key to start from
+     * @param {string} direction - outgoing or incoming
+     * @returns An object with arrays of item keys and connection objects, not including the starting item.
+     */
+    generateReach(key, direction) {
+
+        let keys = new Set();
+        let connections = new Set();
+        let queue = this.nodes.has(key) ? [key] : [];
+
+        // breadth first so every edge is visited once
+        for (let i = 0; i < queue.length; i++) {
+
+            let node = this.nodes.get(queue[i]);
+
+            node[direction].forEach(c => {
+
+                let next = direction === "outgoing" ? c.target : c.source;
+
+                connections.add(c);
+
+                if (!keys.has(next)) {
+                    keys.add(next);
+                    queue.push(next);
+                }
+
+            });
+
+        }
+
+        return {
+            connections: [...connections],
+            keys: [...keys]
+        };
+
+    }
+
+    /**
+     * Count connection chains from an item to the end of the graph.
+     * @param {string} key - item key
+     * @returns An integer number of chains, 1 when nothing leaves the item.
+     */
+    countChainsFrom(key) {
+
+        if (!this.countsFrom.has(key)) {
+
+            let outgoing = this.nodes.has(key) ? this.nodes.get(key).outgoing : [];
+
+            this.countsFrom.set(key, outgoing.length == 0 ? 1 : outgoing.reduce((total, c) => total + this.countChainsFrom(c.target), 0));
+
+        }
+
+        return this.countsFrom.get(key);
+
+    }
+
+    /**
+     * Count connection chains from the start of the graph to an item.
+     * @param {string} key - item key
+     * @returns An integer number of chains, 1 when nothing enters the item.
+     */
+    countChainsTo(key) {
+
+        if (!this.countsTo.has(key)) {
+
+            let incoming = this.nodes.has(key) ? this.nodes.get(key).incoming : [];
+
+            this.countsTo.set(key, incoming.length == 0 ? 1 : incoming.reduce((total, c) => total + this.countChainsTo(c.source), 0));
+
+        }
+
+        return this.countsTo.get(key);
+
+    }
+
+    /**
+     * Count every full path through an item or connection without listing them.
+     * @param {string|object} key - item key or connection object with source/target keys
+     * @returns An integer number of paths getPaths() would return.
+     */
+    countPaths(key) {
+
+        if (key && typeof(key) == "object") {
+            return (this.nodes.has(key.source) ? this.nodes.get(key.source).outgoing : [])
+                .filter(c => c.target === key.target)
+                .reduce(total => total + this.countChainsTo(key.source) * this.countChainsFrom(key.target), 0);
+        }
+
+        if (!this.nodes.has(key)) return 0;
+
+        let node = this.nodes.get(key);
+
+        // an item without connections is not on a path
+        return node.incoming.length + node.outgoing.length == 0 ? 0 : this.countChainsTo(key) * this.countChainsFrom(key);
+
+    }
+
+    /**
+     * Walk connection chains from an item to the end of the graph one at a time.
+     * @param {string} key - item key
+     * @returns A generator of connection arrays, a single empty chain when nothing leaves the item.
+     */
+    *generateChainsFrom(key) {
+
+        let outgoing = this.nodes.has(key) ? this.nodes.get(key).outgoing : [];
+
+        if (outgoing.length == 0) yield [];
+
+        for (let c of outgoing) {
+            for (let d of this.generateChainsFrom(c.target)) yield [c].concat(d);
+        }
+
+    }
+
+    /**
+     * Walk connection chains from the start of the graph to an item one at a time.
+     * @param {string} key - item key
+     * @returns A generator of connection arrays, a single empty chain when nothing enters the item.
+     */
+    *generateChainsTo(key) {
+
+        let incoming = this.nodes.has(key) ? this.nodes.get(key).incoming : [];
+
+        if (incoming.length == 0) yield [];
+
+        for (let c of incoming) {
+            for (let d of this.generateChainsTo(c.source)) yield d.concat([c]);
+        }
+
+    }
+
+    /**
+     * Get everything downstream of an item.
+     * @param {string} key - item key
+     * @returns An object with arrays of item keys and connection objects reachable by following connections forward.
+     */
+    getDownstream(key) {
+        return this.generateReach(key, "outgoing");
+    }
+
+    /**
+     * Get every item on any full path through an item or connection without listing the paths.
+     * @param {string|object} key - item key or connection object with source/target keys
+     * @returns An array of item keys in stack order, empty when nothing passes through.
+     */
+    getPathKeys(key) {
+
+        let isConnection = key && typeof(key) == "object";
+
+        if (this.countPaths(key) == 0) return [];
+
+        // everything upstream of the start and downstream of the end lies on a full path
+        let keys = new Set([
+            ...this.getUpstream(isConnection ? key.source : key).keys,
+            ...(isConnection ? [key.source, key.target] : [key]),
+            ...this.getDownstream(isConnection ? key.target : key).keys
+        ]);
+
+        return [...keys].sort((a,b) => this.nodes.get(a).stackIndex - this.nodes.get(b).stackIndex);
+
+    }
+
+    /**
+     * Get every full path through an item or connection.
+     * @param {string|object} key - item key or connection object with source/target keys
+     * @param {integer} limit - most paths to return, NULL for all of them since their number can grow exponentially with the number of stacks
+     * @returns An array of path objects with item keys and connections from the start to the end of the graph.
+     */
+    getPaths(key, limit=null) {
+
+        let result = [];
+        let chains = [];
+
+        if (key && typeof(key) == "object") {
+
+            // every matching edge joins each chain into its source with each chain out of its target
+            (this.nodes.has(key.source) ? this.nodes.get(key.source).outgoing : [])
+                .filter(c => c.target === key.target)
+                .forEach(c => chains.push([c.source, c.target, [c]]));
+
+        } else if (this.countPaths(key) > 0) {
+            chains.push([key, key, []]);
+        }
+
+        // chains are walked lazily so a limit stops the search early
+        for (let [start, end, middle] of chains) {
+            for (let up of this.generateChainsTo(start)) {
+                for (let down of this.generateChainsFrom(end)) {
+
+                    if (limit !== null && result.length >= limit) return result;
+
+                    result.push(this.generatePath(up.concat(middle, down)));
+
+                }
+            }
+        }
+
+        return result;
+
+    }
+
+    /**
+     * Get everything upstream of an item.
+     * @param {string} key - item key
+     * @returns An object with arrays of item keys and connection objects reachable by following connections backward.
+     */
+    getUpstream(key) {
+        return this.generateReach(key, "incoming");
+    }
+
+}
+
+export { ConnectionGraph };
+export default ConnectionGraph;
@@ -1,3 +1,9 @@
+import { diffData } from "./diff/index.js";
+import { defineElement, generateElement } from "./element/index.js";
+import { foldData } from "./fold/index.js";
+import { ConnectionGraph } from "./graph/index.js";
+import { Tooltip } from "./tooltip/index.js";
+import { validateData, ValidationError } from "./validation/index.js";
 import { StackedConnections } from "./visualization/index.js";
 
-export { StackedConnections };
+export { ConnectionGraph, defineElement, diffData, foldData, generateElement, StackedConnections, Tooltip, validateData, ValidationError };
@@ -0,0 +1,39 @@
+import { configuration } from "../configuration.js";
+
+/**
+ * Fill of each shape when nothing else styles it, e.g. exported svg or canvas without page css.
+ */
+const styleDefault = {
+    bar: { fill: "#4e79a7", fillOpacity: 1 },
+    categorical: ["#4e79a7", "#f28e2b", "#e15759", "#76b7b2", "#59a14f", "#edc948", "#b07aa1", "#ff9da7", "#9c755f", "#bab0ac"],
+    change: { decreased: "#e15759", increased: "#59a14f" },
+    connection: { fill: "#8c9aab", fillOpacity: 0.5 },
+    focus: { fill: "#f28e2b" },
+    sequential: ["#deebf7", "#08519c"]
+};
+
+/**
+ * Construct the default stylesheet used when the chart leaves the page, e.g. exported svg.
+ * @param {string} name - class of the top-level svg every rule is scoped to
+ * @returns A string of css.
+ */
+function generateStylesheet(name=configuration.name) {
+    return [
+        `.${name} .lgv-annotation { fill: #333333; font-weight: bold; }`,
+        `.${name} .lgv-bar { fill: ${styleDefault.bar.fill}; }`,
+        `.${name} .lgv-connection { fill: ${styleDefault.connection.fill}; fill-opacity: ${styleDefault.connection.fillOpacity}; }`,
+        `.${name} .lgv-connection.lgv-focus { fill: ${styleDefault.focus.fill}; }`,
+        `.${name} .lgv-connection[data-change="added"] { stroke: ${styleDefault.change.increased}; }`,
+        `.${name} .lgv-connection-removed { fill: none; stroke: ${styleDefault.change.decreased}; stroke-dasharray: 4 3; }`,
+        `.${name} .lgv-delta { fill: #ffffff; }`,
+        `.${name} .lgv-change[data-change="increased"] { fill: ${styleDefault.change.increased}; }`,
+        `.${name} .lgv-change[data-change="decreased"] { fill: ${styleDefault.change.decreased}; }`,
+        `.${name} .lgv-label rect { fill: #ffffff; fill-opacity: 0.8; }`,
+        `.${name} .lgv-label text { fill: #333333; }`,
+        `.${name} .lgv-leader { fill: none; stroke: #999999; }`,
+        `.${name} .selected { fill-opacity: 1; }`
+    ].join("\n");
+}
+
+export { generateStylesheet, styleDefault };
+export default generateStylesheet;
@@ -0,0 +1,164 @@
+import { configuration } from "../configuration.js";
+
+/**
+ * Most paths listed in a tooltip since their number can grow exponentially with the number of stacks.
+ */
+const tooltipPathLimit = 10;
+
+/**
+ * Escape text so data values can be placed in tooltip markup.
+ * @param {any} value - value to escape
+ * @returns A string safe to use as HTML content.
+ */
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+/**
+ * Construct the default tooltip content.
+ * @param {object} d - tooltip datum for a bar or connection
+ * @returns A string of HTML.
+ */
+function tooltipContent(d) {
+
+    let rows = d.type === "connection" ? [
+        ["Source", `${d.source} (${d.sourceStack})`],
+        ["Target", `${d.target} (${d.targetStack})`],
+        ["Value", d.value === null ? "-" : d.value]
+    ] : [
+        ["Stack", d.stack],
+        ["Value", d.value],
+        ["Percent", d.percent]
+    ].concat(d.folded && d.folded.length > 0 ? [["Includes", `${d.folded.length} items`]] : []);
+
+    let title = d.type === "connection" ? `${d.source} → ${d.target}` : d.label || d.item;
+    let more = d.pathCount > d.paths.length ? `<li>${d.pathCount - d.paths.length} more</li>` : "";
+    let paths = d.paths.map(p => `<li>${p.map(escapeHTML).join(" → ")}</li>`).join("") + more;
+
+    return [
+        `<div class="${configuration.name}-tooltip-title">${escapeHTML(title)}</div>`,
+        `<dl>${rows.map(r => `<dt>${r[0]}</dt><dd>${escapeHTML(r[1])}</dd>`).join("")}</dl>`,
+        paths ? `<ul class="${configuration.name}-tooltip-paths">${paths}</ul>` : ""
+    ].join("");
+
+}
+
+/**
+ * Tooltip is an HTML box describing the bar or connection under the pointer or keyboard focus.
+ * @param {node} container - HTML node the tooltip is positioned within
+ * @param {function} template - function receiving a tooltip datum and returning an HTML string, defaults to stack, item, value, percent and paths
+ */
+class Tooltip {
+    constructor(container, template=null) {
+
+        // update self
+        this.container = container;
+        this.node = null;
+        this.template = template;
+
+    }
+
+    /**
+     * Construct tooltip node in HTML DOM.
+     * @returns An HTML node.
+     */
+    generateTooltip() {
+
+        if (this.node) return this.node;
+
+        let view = this.container.ownerDocument.defaultView;
+
+        // absolute positions are calculated from the container
+        if (view.getComputedStyle(this.container).position === "static") this.container.style.position = "relative";
+
+        this.node = this.container.ownerDocument.createElement("div");
+        this.node.className = `${configuration.name}-tooltip`;
+        this.node.setAttribute("role", "tooltip");
+        this.node.style.left = "0px";
+        this.node.style.pointerEvents = "none";
+        this.node.style.position = "absolute";
+        this.node.style.top = "0px";
+        this.node.style.visibility = "hidden";
+
+        this.container.appendChild(this.node);
+
+        return this.node;
+
+    }
+
+    /**
+     * Hide tooltip.
+     */
+    hide() {
+        if (this.node) this.node.style.visibility = "hidden";
+    }
+
+    /**
+     * Calculate where the tooltip sits so it stays inside the viewport.
+     * @param {array} xy - client position the tooltip is anchored to
+     * @returns An array of left, top positions relative to the container.
+     */
+    position(xy) {
+
+        let view = this.container.ownerDocument.defaultView;
+        let bounds = this.container.getBoundingClientRect();
+        let box = this.node.getBoundingClientRect();
+
+        let viewWidth = view.innerWidth || this.container.ownerDocument.documentElement.clientWidth;
+        let viewHeight = view.innerHeight || this.container.ownerDocument.documentElement.clientHeight;
+
+        // flip to the other side of the anchor before running off the viewport
+        let x = xy[0] + box.width > viewWidth ? xy[0] - box.width : xy[0];
+        let y = xy[1] + box.height > viewHeight ? xy[1] - box.height : xy[1];
+
+        // and never past its start
+        x = Math.max(0, Math.min(x, viewWidth - box.width));
+        y = Math.max(0, Math.min(y, viewHeight - box.height));
+
+        return [
+            x - bounds.left + this.container.scrollLeft,
+            y - bounds.top + this.container.scrollTop
+        ];
+
+    }
+
+    /**
+     * Remove tooltip from the HTML DOM.
+     */
+    remove() {
+
+        if (this.node) this.node.remove();
+
+        // update self
+        this.node = null;
+
+    }
+
+    /**
+     * Fill and position tooltip.
+     * @param {object} d - tooltip datum for a bar or connection
+     * @param {array} xy - client position the tooltip is anchored to
+     */
+    show(d, xy) {
+
+        let node = this.generateTooltip();
+
+        node.innerHTML = this.template ? this.template(d) : tooltipContent(d);
+
+        let [left, top] = this.position(xy);
+
+        node.style.left = `${left}px`;
+        node.style.top = `${top}px`;
+        node.style.visibility = "visible";
+
+    }
+
+}
+
+export { escapeHTML, Tooltip, tooltipContent, tooltipPathLimit };
+export default Tooltip;
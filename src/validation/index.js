@@ -0,0 +1,249 @@
+/**
+ * ValidationError is thrown in strict mode when provided data or options cannot be used as is.
+ * @param {array} errors - objects where each describes a single problem found in the data
+ * @param {string} subject - what was checked for the error message
+ */
+class ValidationError extends Error {
+    constructor(errors, subject="stacked connections data") {
+
+        super(`${errors.length} problem${errors.length == 1 ? "" : "s"} found in ${subject}: ${errors.map(d => d.message).join("; ")}`);
+
+        // update self
+        this.errors = errors;
+        this.name = "ValidationError";
+
+    }
+};
+
+/**
+ * Determine if a value can be drawn as a stack item or connection.
+ * @param {any} value - value to check
+ * @returns A boolean where TRUE is a finite non-negative number.
+ */
+function isValidValue(value) {
+    return typeof(value) == "number" && isFinite(value) && value >= 0;
+}
+
+/**
+ * Check data against the expected stacks/connections format.
+ * @param {object} data - stacks and connections as described in the README
+ * @returns An object with a valid flag, a list of structured errors and a copy of the data with every bad record removed.
+ */
+function validateData(data) {
+
+    let errors = [];
+    let result = { stacks: [], connections: [] };
+
+    // nothing to draw is not an error
+    if (data === null || data === undefined) return { data: result, errors: errors, valid: true };
+
+    if (typeof(data) != "object" || !Array.isArray(data.stacks)) {
+        errors.push({ type: "invalid-format", message: "data must be an object with a stacks array" });
+        return { data: result, errors: errors, valid: false };
+    }
+
+    if (data.connections !== undefined && !Array.isArray(data.connections)) {
+        errors.push({ type: "invalid-format", message: "connections must be an array" });
+    }
+
+    // stack index for every item key kept so far
+    let stackIndexes = new Map();
+
+    data.stacks.forEach((s, i) => {
+
+        let keys = s && typeof(s) == "object" ? Object.keys(s) : [];
+
+        if (keys.length != 1 || !s[keys[0]] || typeof(s[keys[0]]) != "object") {
+            errors.push({ type: "invalid-format", index: i, message: `stack at index ${i} must be an object with a single key mapping to item values` });
+            return;
+        }
+
+        let stackKey = keys[0];
+        let items = {};
+
+        Object.keys(s[stackKey]).forEach(key => {
+
+            let value = s[stackKey][key];
+
+            if (!isValidValue(value)) {
+                errors.push({ type: "invalid-value", stack: stackKey, key: key, value: value, message: `${key} in ${stackKey} has value ${JSON.stringify(value)} which is not a non-negative number` });
+            } else if (stackIndexes.has(key)) {
+                errors.push({ type: "duplicate-key", stack: stackKey, key: key, message: `${key} in ${stackKey} is already used in ${result.stacks[stackIndexes.get(key)].key}` });
+            } else {
+                items[key] = value;
+                stackIndexes.set(key, result.stacks.length);
+            }
+
+        });
+
+        if (Object.keys(items).length == 0) {
+            errors.push({ type: "empty-stack", stack: stackKey, message: `${stackKey} has no items` });
+            return;
+        }
+
+        result.stacks.push({ key: stackKey, items: items });
+
+    });
+
+    (Array.isArray(data.connections) ? data.connections : []).forEach((c, i) => {
+
+        if (!c || typeof(c) != "object") {
+            errors.push({ type: "invalid-format", index: i, message: `connection at index ${i} must be an object` });
+            return;
+        }
+
+        let description = `connection ${JSON.stringify(c.source)} to ${JSON.stringify(c.target)}`;
+        let sourceIndex = stackIndexes.get(c.source);
+        let targetIndex = stackIndexes.get(c.target);
+
+        if (sourceIndex === undefined) {
+            errors.push({ type: "unknown-source", connection: c, index: i, key: c.source, message: `${description} has a source that is not in any stack` });
+        } else if (targetIndex === undefined) {
+            errors.push({ type: "unknown-target", connection: c, index: i, key: c.target, message: `${description} has a target that is not in any stack` });
+        } else if (targetIndex <= sourceIndex) {
+            errors.push({ type: "backward-connection", connection: c, index: i, message: `${description} must target a stack after ${result.stacks[sourceIndex].key}` });
+        } else if (c.value !== undefined && c.value !== null && !isValidValue(c.value)) {
+            errors.push({ type: "invalid-value", connection: c, index: i, value: c.value, message: `${description} has value ${JSON.stringify(c.value)} which is not a non-negative number` });
+        } else {
+            result.connections.push(c);
+        }
+
+    });
+
+    return {
+        data: {
+            stacks: result.stacks.map(d => ({ [d.key]: d.items })),
+            connections: result.connections
+        },
+        errors: errors,
+        valid: errors.length == 0
+    };
+
+}
+
+/**
+ * Rules each option value must follow.
+ */
+const optionRules = {
+    align: { values: ["top", "center", "bottom"] },
+    bandPadding: { type: "number", min: 0, max: 1 },
+    color: { type: ["object", "function"], nullable: true },
+    curve: { type: "number", min: 0, max: 1 },
+    frameDuration: { type: "number", min: 0 },
+    frameLoop: { type: "boolean" },
+    height: { type: "number", min: 0, exclusive: true },
+    includeValueInLabel: { type: "boolean" },
+    labelBackgroundHeight: { type: "number", min: 0, exclusive: true },
+    labelLineHeight: { type: "number", min: 0, exclusive: true },
+    labelMaxWidth: { type: "number", min: 0, exclusive: true, nullable: true },
+    labelMinPercent: { type: "number", min: 0, max: 100 },
+    labelOverflow: { values: ["truncate", "wrap"] },
+    minHeight: { type: "number", min: 0 },
+    minWidth: { type: "number", min: 0 },
+    opacityDimmed: { type: "number", min: 0, max: 1 },
+    order: { type: ["function", "array"], values: ["value", "input", "crossing"] },
+    orientation: { values: ["vertical", "horizontal"] },
+    otherLabel: { type: "string" },
+    otherLimit: { type: "number", min: 0, nullable: true },
+    otherMinPercent: { type: "number", min: 0, max: 100 },
+    otherMinValue: { type: "number", min: 0 },
+    paddingAnnotations: { type: "number", min: 0, nullable: true },
+    paddingStackCell: { type: "number", min: 0 },
+    paddingStackText: { type: "number", min: 0 },
+    renderer: { values: ["svg", "canvas"] },
+    resizeDelay: { type: "number", min: 0 },
+    responsive: { type: "boolean", values: ["width", "both"] },
+    scale: { values: ["independent", "shared"] },
+    strict: { type: "boolean" },
+    transitionDuration: { type: "number", min: 0 },
+    transitionEase: { type: "function" },
+    width: { type: "number", min: 0, exclusive: true }
+};
+
+/**
+ * Check options against the known option rules.
+ * @param {object} options - option values to check, e.g. passed to the constructor or setOptions()
+ * @param {object} defaults - values used for anything not provided or invalid
+ * @returns An object with a valid flag, a list of structured errors and the defaults overridden by every valid option.
+ */
+function validateOptions(options, defaults={}) {
+
+    let errors = [];
+    let result = { ...defaults };
+
+    // nothing to change is not an error
+    if (options === null || options === undefined) return { errors: errors, options: result, valid: true };
+
+    if (typeof(options) != "object" || Array.isArray(options)) {
+        errors.push({ type: "invalid-format", message: "options must be an object" });
+        return { errors: errors, options: result, valid: false };
+    }
+
+    Object.keys(options).forEach(key => {
+
+        let rule = optionRules[key];
+        let value = options[key];
+
+        if (!rule) {
+            errors.push({ type: "unknown-option", key: key, message: `${key} is not an option` });
+            return;
+        }
+
+        // environment variables arrive as strings
+        if (rule.type === "number" && typeof(value) == "string" && value.trim() !== "" && isFinite(value)) value = Number(value);
+        if (rule.type === "boolean" && (value === "true" || value === "false")) value = value === "true";
+
+        let types = [].concat(rule.type || []);
+        let kind = Array.isArray(value) ? "array" : typeof(value);
+
+        let isValid = (rule.nullable && value === null) ||
+            (rule.values && rule.values.includes(value)) ||
+            (types.includes(kind) && (kind != "number" || (isFinite(value) &&
+                (rule.min === undefined || (rule.exclusive ? value > rule.min : value >= rule.min)) &&
+                (rule.max === undefined || value <= rule.max))));
+
+        if (!isValid) {
+            errors.push({ type: "invalid-option", key: key, value: value, message: `${key} has value ${JSON.stringify(value)} which is not ${describeRule(rule)}` });
+            return;
+        }
+
+        result[key] = value;
+
+    });
+
+    return {
+        errors: errors,
+        options: result,
+        valid: errors.length == 0
+    };
+
+}
+
+/**
+ * Describe an option rule for error messages.
+ * @param {object} rule - rule from optionRules
+ * @returns A string such as "a number from 0 to 1".
+ */
+function describeRule(rule) {
+
+    let parts = [];
+
+    if (rule.values) parts.push(`one of ${rule.values.map(d => `"${d}"`).join(", ")}`);
+
+    [].concat(rule.type || []).forEach(type => {
+        if (type === "number") {
+            let range = rule.min !== undefined && rule.max !== undefined ? ` from ${rule.min} to ${rule.max}` : rule.min !== undefined ? ` ${rule.exclusive ? "above" : "of at least"} ${rule.min}` : "";
+            parts.push(`a number${range}`);
+        } else {
+            parts.push(`${type === "array" || type === "object" ? "an" : "a"} ${type}`);
+        }
+    });
+
+    if (rule.nullable) parts.push("null");
+
+    return parts.join(" or ");
+
+}
+
+export { isValidValue, validateData, validateOptions, ValidationError };
+export default validateData;
@@ -1,77 +1,136 @@
-import { max, sum } from "d3-array";
+import { extent, max, sum } from "d3-array";
 import { path } from "d3-path";
-import { scaleBand, scaleLinear } from "d3-scale";
+import { scaleBand, scaleLinear, scaleOrdinal } from "d3-scale";
 import { select } from "d3-selection";
 import { stack } from "d3-shape";
+import { easeCubicInOut } from "d3-ease";
+import "d3-transition";
 
-import { configuration, configurationDimension, configurationLayout } from "../configuration.js";
+import { diffData } from "../diff/index.js";
+import { ConnectionGraph } from "../graph/index.js";
+import { foldData } from "../fold/index.js";
+import { configuration, configurationOptions, configurationStyle } from "../configuration.js";
+import { generateStylesheet, styleDefault } from "../style/index.js";
+import { Tooltip, tooltipPathLimit } from "../tooltip/index.js";
+import { isValidValue, validateData, validateOptions, ValidationError } from "../validation/index.js";
+
+// unique prefix for ids referenced inside each chart
+let instanceCount = 0;
 
 /**
  * StackedConnections is a hybrid visualization of a series of stacked bar charts with curved connection paths between related stacked values.
- * @param {array} data - objects where each represents a path in the hierarchy
+ * @param {object} data - stacks and connections as described in the README
+ * @param {object|integer} options - options as described in the README, or artboard width followed by the positional arguments below
  * @param {integer} height - artboard height
  * @param {boolean} includeValueInLabel - TRUE will show % value with stacked bars
- * @param {integer} width - artboard width
  * @param {integer} paddingStackCell - space between stacked shapes
  * @param {integer} paddingStackText - space between stack shape and corresponding label
+ * @param {boolean} strict - TRUE will throw a ValidationError for invalid data or options instead of skipping them
  */
 class StackedConnections {
-    constructor(data, width=configurationDimension.width, height=configurationDimension.height, includeValueInLabel=true, paddingStackCell=configurationLayout.paddingStackCell, paddingStackText=configurationLayout.paddingStackText) {
+    constructor(data, options={}, height, includeValueInLabel, paddingStackCell, paddingStackText, strict) {
+
+        // positional arguments map onto options
+        let provided = options !== null && typeof(options) == "object" ? options : Object.fromEntries(Object.entries({
+            height: height,
+            includeValueInLabel: includeValueInLabel,
+            paddingStackCell: paddingStackCell,
+            paddingStackText: paddingStackText,
+            strict: strict,
+            width: options
+        }).filter(d => d[1] !== undefined));
 
         // update self
         this.artboard = null;
         this.barWidth = null;
+        this.canvas = null;
+        this.canvasActive = null;
+        this.canvasLayout = null;
+        this.canvasStyles = new Map();
+        this.colorLayout = null;
+        this.comparison = null;
         this.connectionGroup = null;
         this.container = null;
+        this.dataPrevious = null;
         this.dataSource = data;
-        this.height = height;
-        this.includeValueInLabel = includeValueInLabel;
+        this.dataUnfolded = null;
+        this.dataValid = null;
+        this.deltaLayout = null;
+        this.description = null;
+        this.focus = null;
+        this.frameIndex = null;
+        this.frameLayouts = new Map();
+        this.frameOrders = null;
+        this.frames = [];
+        this.graph = null;
+        this.id = `${configuration.name}-${++instanceCount}`;
+        this.isStatic = false;
+        this.listeners = new Map();
         this.name = configuration.name;
-        this.paddingStackCell = paddingStackCell;
-        this.paddingStackText = paddingStackText;
+        this.navigationKey = null;
+        this.options = null;
+        this.others = new Map();
+        this.othersExpanded = [];
+        this.playTimer = null;
+        this.resizeObserver = null;
+        this.resizeTimer = null;
+        this.selection = [];
         this.stackGroup = null;
         this.stackLabelGroup = null;
-        this.width = width;
+        this.textWidths = new Map();
+        this.title = null;
+        this.tooltip = null;
+        this.tooltipEnabled = false;
+        this.tooltipTemplate = null;
 
         // using font size as the base unit of measure make responsiveness easier to manage across devices
         this.artboardUnit = typeof window === "undefined" ? 16 : parseFloat(getComputedStyle(document.body).fontSize);
 
-        // update self
-        this.paddingAnnotations = this.artboardUnit * 2;
+        // every option becomes a property of the same name
+        this.configureOptions(provided);
+
+        // check data before anything tries to lay it out
+        this.configureSource(data);
 
     }
 
     /**
      * Condition data for visualization requirements.
-     * @returns A xx.
+     * @returns An array of stack objects with connections, key, offset, scale, series and total values.
      */
     get data() {
 
-        let result = null;
+        let result = [];
 
-        // verify valid source provided
-        if (this.dataSource && Object.keys(this.dataSource).length == 2) {
+        // only validated records are laid out
+        if (this.dataValid) {
 
-            result = [];
+            let passthroughs = this.generatePassthroughs(this.dataValid);
+            // frames share one order while shown and anything else follows the order option
+            let orders = this.frameOrders && this.frameIndex !== null ? this.generateFrameStackOrders(this.dataValid) : this.generateStackOrders(this.dataValid);
+            let shared = this.scale === "shared" ? this.generateSharedExtent(this.dataValid, passthroughs) : null;
 
             // loop through series'
-            for (const s of this.dataSource.stacks) {
+            this.dataValid.stacks.forEach((s, i) => {
 
                 // get key of series which correlates to its label
                 let key = Object.keys(s)[0];
 
-                let stacked = this.generateStackLayout(s[key]);
+                // reserve room below the bars for connections passing through this stack
+                let stacked = this.generateStackLayout(s[key], sum(passthroughs[i].map(d => d.value)), orders[i], shared);
 
                 // format into consistent stack/connection object
                 result.push({
-                    connections: stacked ?  this.dataSource.connections.filter(d => (stacked.series.map(x => x.key)).includes(d.source)) : null,
+                    connections: stacked ? this.dataValid.connections.filter(d => (stacked.series.map(x => x.key)).includes(d.source)) : null,
                     key: key,
+                    lanes: stacked ? this.generateLaneLayout(passthroughs[i], stacked) : [],
+                    offset: stacked ? stacked.offset : 0,
                     scale: stacked ? stacked.scale : null,
                     series: stacked ? stacked.series : [],
                     totalValues: stacked ? stacked.totalValues : 0
-                })
+                });
 
-            }
+            });
 
         }
 
@@ -84,10 +143,166 @@ class StackedConnections {
      * @returns A d3 scale function.
      */
     get horizontalScale() {
+        return this.stackScale;
+    }
+
+    /**
+     * Determine if bars and connections are drawn to a canvas.
+     * @returns A boolean where TRUE is the canvas renderer.
+     */
+    get isCanvas() {
+        return this.renderer === "canvas";
+    }
+
+    /**
+     * Determine if the artboard is too small for labels.
+     * @returns A boolean where TRUE is a width or height below its minimum.
+     */
+    get isCompact() {
+        return this.width < this.minWidth || this.height < this.minHeight;
+    }
+
+    /**
+     * Determine if stacks are laid out as rows.
+     * @returns A boolean where TRUE is horizontal orientation.
+     */
+    get isHorizontal() {
+        return this.orientation === "horizontal";
+    }
+
+    /**
+     * Calculate the space available along a stack for its items.
+     * @returns A float length in artboard units.
+     */
+    get stackLength() {
+        return this.isHorizontal ? this.width : this.height - this.paddingAnnotations;
+    }
+
+    /**
+     * Construct scale positioning stacks across the artboard, left to right as columns or top to bottom as rows.
+     * @returns A d3 scale function.
+     */
+    get stackScale() {
         return scaleBand()
             .domain(this.stacks ? this.stacks.map(d => d.key) : [])
-            .rangeRound([0, this.width])
-            .paddingInner(0.94);
+            // rows keep the same annotation space below the last row as above the first
+            .rangeRound([0, this.isHorizontal ? this.height - (this.paddingAnnotations * 2) : this.width])
+            .paddingInner(this.bandPadding);
+    }
+
+    /**
+     * Highlight a bar and notify the parent of pointer or keyboard interaction.
+     * @param {node} node - bar DOM node, null when drawn to canvas
+     * @param {object} d - series datum of the bar
+     * @param {object} category - stack object from get data()
+     * @param {array} xy - client position for the event detail
+     */
+    activateBar(node, d, category, xy) {
+
+        // update class
+        select(node).classed("active", true);
+
+        // show a label hidden for being too small
+        this.revealLabel(d.key, true);
+
+        // describe the bar
+        if (this.tooltip) this.tooltip.show(this.tooltipBar(d, category), xy);
+
+        // send event to parent
+        this.emit("barmouseover", this.barDetail(d.key, xy));
+
+    }
+
+    /**
+     * Highlight a connection and notify the parent of pointer or keyboard interaction.
+     * @param {node} node - connection DOM node, null when drawn to canvas
+     * @param {object} d - ribbon datum of the connection
+     * @param {array} xy - client position for the event detail
+     */
+    activateConnection(node, d, xy) {
+
+        // update class
+        select(node).classed("active", true);
+
+        // describe the connection
+        if (this.tooltip) this.tooltip.show(this.tooltipConnection(d), xy);
+
+        // send event to parent
+        this.emit("connectionmouseover", this.connectionDetail(d, xy));
+
+    }
+
+    /**
+     * Describe a bar for event consumers.
+     * @param {string} key - item key of the bar
+     * @param {array} xy - client position of the interaction
+     * @returns An object with key, label, stack, value, paths listed only when read and xy.
+     */
+    barDetail(key, xy) {
+
+        let graph = this.graph;
+        let node = graph.nodes.get(key);
+
+        return {
+            key: key,
+            label: this.itemLabel(key),
+            get paths() { return graph.getPaths(key); },
+            stack: node ? node.stack : null,
+            value: node ? node.value : null,
+            xy: xy
+        };
+
+    }
+
+    /**
+     * Calculate the box of a bar.
+     * @param {object} category - stack object from get data()
+     * @param {object} d - series datum of the bar
+     * @returns An object with x, y, width and height in artwork coordinates.
+     */
+    barRect(category, d) {
+        return this.projectRect(this.stackScale(category.key), this.itemExtent(category, d.key)[0], this.barWidth, category.scale(d[0][1]) - category.scale(d[0][0]));
+    }
+
+    /**
+     * Read the css fill of a shape so canvas drawing follows the same stylesheet as svg.
+     * @param {string} className - classes the svg shape would have
+     * @param {object} fallback - fill and fillOpacity to use when no css applies
+     * @returns An object with fill and fillOpacity.
+     */
+    canvasStyle(className, fallback) {
+
+        if (this.canvasStyles.has(className)) return this.canvasStyles.get(className);
+
+        let view = this.artboard.node().ownerDocument.defaultView;
+
+        // hidden shape inherits the same css as drawn shapes would
+        let probe = this.artboard
+            .append("g")
+            .attr("class", "lgv-probe")
+            .attr("aria-hidden", "true")
+            .attr("visibility", "hidden");
+
+        let node = probe
+            .append("rect")
+            .attr("class", className)
+            .node();
+
+        let style = view && view.getComputedStyle ? view.getComputedStyle(node) : null;
+
+        // environments without a css cascade for svg such as jsdom report nothing
+        let result = {
+            fill: style && style.fill ? style.fill : fallback.fill,
+            fillOpacity: style && style.fillOpacity ? parseFloat(style.fillOpacity) : fallback.fillOpacity
+        };
+
+        // selectors for drawn shapes must not match the probe
+        probe.remove();
+
+        this.canvasStyles.set(className, result);
+
+        return result;
+
     }
 
     /**
@@ -178,16 +393,40 @@ class StackedConnections {
 
     }
 
+    /**
+     * Remove every item and connection from the selection.
+     * @returns The StackedConnections instance.
+     */
+    clearSelection() {
+
+        // only notify when something changes
+        if (this.selection.length > 0) {
+            this.selection = [];
+            this.configureSelection();
+        }
+
+        return this;
+
+    }
+
     /**
      * Position and minimally style annotations in SVG dom element.
      * @param {node} domNode - d3.js SVG selection
      */
     configureAnnotations(domNode) {
+
+        let isLast = i => i == this.stacks.length - 1;
+
         domNode
-            .attr("x", (d,i) => i == this.stacks.length - 1 ? this.width : this.horizontalScale(d.key))
-            .attr("y", this.paddingAnnotations / 2)
-            .attr("text-anchor", (d,i) => i == this.stacks.length - 1 ? "end" : "start")
+            .attr("text-anchor", (d,i) => isLast(i) && !this.isHorizontal ? "end" : "start")
             .text(d => d.key);
+
+        // rows are annotated above the bar except the last which has its labels there
+        this.transition(domNode)
+            .style("opacity", null)
+            .attr("x", (d,i) => this.isHorizontal ? 0 : isLast(i) ? this.width : this.stackScale(d.key))
+            .attr("y", (d,i) => this.isHorizontal ? this.paddingAnnotations + this.stackScale(d.key) + (isLast(i) ? this.barWidth + Math.min(this.artboardUnit, this.paddingAnnotations) : -this.paddingStackText) : this.paddingAnnotations / 2);
+
     }
 
     /**
@@ -197,498 +436,3284 @@ class StackedConnections {
     configureData() {
 
         // get value for max keys in any stack
-        let maxKeyCount = max(this.dataSource.stacks.map(d => Object.keys(d[Object.keys(d)[0]]).length));
+        let maxKeyCount = this.dataValid ? max(this.dataValid.stacks.map(d => Object.keys(d[Object.keys(d)[0]]).length)) || 0 : 0;
 
         // try to use the provided padding but
         // if requested would set a negative scale
         // use the largest possible padding given remaining space
-        let paddingIsValid = this.paddingStackCell * (maxKeyCount - 1) < this.height;
+        let paddingIsValid = this.paddingStackCell * (maxKeyCount - 1) < this.stackLength;
 
         // padding is too big as requested
         if (!paddingIsValid) {
 
             // set new padding with available space
-            this.paddingStackCell = (this.height / maxKeyCount) * 0.2;
+            this.paddingStackCell = (this.stackLength / maxKeyCount) * 0.2;
 
         }
 
+        // playback reuses the layout of a frame already shown or preloaded
+        let cached = this.frameIndex === null ? null : this.frameLayouts.get(this.frameIndex);
+
         // process data
-        this.stacks = this.data;
-        this.barWidth = this.horizontalScale.bandwidth();
-        this.connectionPaths = this.generateConnectionPaths(this.stacks);
+        this.stacks = cached ? cached : this.data;
+        this.barWidth = this.stackScale.bandwidth();
+        this.ribbons = this.generateConnectionLayout(this.stacks);
+        this.colorLayout = this.generateColorLayout();
+        this.deltaLayout = this.generateDeltaLayout(this.stacks);
 
-    }
+        if (this.frameIndex !== null) this.frameLayouts.set(this.frameIndex, this.stacks);
 
-    /**
-     * Generate SVG text elements in the HTML DOM.
-     * @param {node} domNode - HTML node
-     * @returns A d3.js selection.
-     */
-    generateAnnotations(domNode) {
-        return domNode
-            .selectAll(".lgv-annotation")
-            .data(this.stacks ? this.stacks : [])
-            .join(
-                enter => enter.append("text"),
-                update => update,
-                exit => exit.remove()
-            )
-            .attr("class", "lgv-annotation");
     }
 
     /**
-     * Generate SVG artboard in the HTML DOM.
-     * @param {selection} domNode - d3 selection
-     * @returns A d3.js selection.
+     * Emphasize focused and selected connections and bars and dim everything else.
      */
-    generateArtboard(domNode) {
-        return domNode
-            .selectAll("svg")
-            .data([{height: this.height, width: this.width}])
-            .join(
-                enter => enter.append("svg"),
-                update => update,
-                exit => exit.remove()
-            )
-            .attr("viewBox", d => `0 0 ${d.width} ${d.height}`)
-            .attr("class", this.name);
+    configureEmphasis() {
+
+        let emphasis = this.generateEmphasisLayout();
+
+        this.artboard
+            .classed("lgv-focus-mode", emphasis.isFocusActive)
+            .classed("lgv-selection-mode", emphasis.isSelectionActive);
+
+        // canvas has no nodes to restyle so it is drawn again
+        if (this.isCanvas) {
+            this.drawCanvas(emphasis);
+            return;
+        }
+
+        this.connectionGroup.selectAll(".lgv-connection")
+            .classed("focused", d => emphasis.isConnectionFocused(d))
+            .classed("selected", d => emphasis.isConnectionSelected(d))
+            .classed("dimmed", d => emphasis.isConnectionDimmed(d))
+            .attr("opacity", d => emphasis.isConnectionDimmed(d) ? this.opacityDimmed : null)
+            .attr("aria-pressed", d => this.isSelected(d))
+            .filter(d => emphasis.isConnectionRaised(d))
+            .raise();
+
+        this.stackGroup.selectAll(".lgv-bar")
+            .classed("focused", d => emphasis.isBarFocused(d))
+            .classed("selected", d => emphasis.isBarSelected(d))
+            .classed("dimmed", d => emphasis.isBarDimmed(d))
+            .attr("opacity", d => emphasis.isBarDimmed(d) ? this.opacityDimmed : null)
+            .attr("aria-pressed", d => this.isSelected(d.key))
+            .filter(d => emphasis.isBarRaised(d))
+            .raise();
+
     }
 
     /**
-     * Construct bar shapes in HTML DOM.
-     * @param {node} domNode - HTML node
-     * @returns A d3.js selection.
+     * Bind pointer interaction for shapes drawn to canvas.
      */
-    generateBars(domNode) {
-        domNode.each((category, i, nodes) => {
+    configureCanvasEvents() {
 
-            // render stack values
-            select(nodes[i])
-                .selectAll(".lgv-bar")
-                .data(category.series)
-                .join(
-                    enter => enter.append("rect"),
-                    update => update,
-                    exit => exit.remove()
-                )
-                .attr("data-key", d => d.key)
-                .attr("class", "lgv-bar")
-                .attr("x", this.horizontalScale(category.key))
-                .attr("y", (d,i) => category.scale(d[0][0]) + (this.paddingStackCell * i))
-                .attr("height", d => category.scale(d[0][1]) - category.scale(d[0][0]))
-                .attr("width", this.barWidth)
-                .on("mouseover", (e,d) => {
-
-                    // update class
-                    select(e.target).attr("class", "lgv-bar active");
-
-                    // send event to parent
-                    this.artboard.dispatch("barmouseover", {
-                        bubbles: true,
-                        detail: {
-                            label: d.key,
-                            stack: category.key,
-                            paths: this.connectionPaths.filter(x => x.includes(d.key)),
-                            xy: [e.clientX + (this.artboardUnit / 2), e.clientY + (this.artboardUnit / 2)]
-                        }
-                    });
+        // leave the current shape and enter the next
+        let move = (e, hit) => {
 
-                })
-                .on("mouseout", (e,d) => {
+            let previous = this.canvasActive;
 
-                    // update class
-                    select(e.target).attr("class", "lgv-bar");
+            if (previous && hit && previous.type === hit.type && previous.d === hit.d) return;
 
-                    // send event to parent
-                    this.artboard.dispatch("barmouseout", {
-                        bubbles: true
-                    });
+            if (previous) previous.type === "bar" ? this.deactivateBar(null, previous.d) : this.deactivateConnection(null, previous.d);
 
-                });
+            this.canvasActive = hit;
+
+            let xy = [e.clientX + (this.artboardUnit / 2), e.clientY + (this.artboardUnit / 2)];
+
+            if (hit) hit.type === "bar" ? this.activateBar(null, hit.d, hit.category, xy) : this.activateConnection(null, hit.d, xy);
+
+        };
+
+        this.artboard
+            .on("mousemove.canvas", this.isCanvas ? e => move(e, this.hitCanvas(e)) : null)
+            .on("mouseleave.canvas", this.isCanvas ? e => move(e, null) : null)
+            .on("click.canvas", this.isCanvas ? e => {
+
+                let hit = this.hitCanvas(e);
+
+                if (hit && hit.type === "bar") this.clickBar(e, hit.d.key);
+                if (hit && hit.type === "connection") this.clickConnection(e, hit.d);
+
+            } : null);
 
-        });
     }
 
     /**
-     * Construct connection group in HTML DOM.
-     * @param {node} domNode - HTML node
-     * @returns A d3.js selection.
+     * Make a frame the data being drawn.
+     * @param {integer} index - position in the frames from setFrames()
      */
-    generateConnectionGroups(domNode) {
-        return domNode
-            .selectAll(".lgv-connections")
-            .data(this.stacks ? this.stacks.slice(0, this.stacks.length - 1) : [])
-            .join(
-                enter => enter.append("g"),
-                update => update,
-                exit => exit.remove()
-            )
-            .attr("class", "lgv-connections")
+    configureFrame(index) {
+
+        let frame = this.frames[index];
+
+        // update self
+        this.dataSource = frame.source;
+        this.dataUnfolded = frame.data;
+        this.frameIndex = index;
+
+        this.configureFolding();
+
     }
 
     /**
-     * Construct hierachial paths noting connections between stacks visually left to right.
-     * @param {array} stacks - generated data array from get data()
-     * @returns An array of strings where each is a period delimited representation of the connection path between stack from visual left-to-right.
+     * Fold small items into an Other item per stack, index what is left and compare it to previous data.
      */
-    generateConnectionPaths(stacks) {
+    configureFolding() {
+
+        let options = {
+            expanded: this.othersExpanded,
+            label: this.otherLabel,
+            limit: this.otherLimit,
+            minPercent: this.otherMinPercent,
+            minValue: this.otherMinValue
+        };
 
-        let result = [];
+        let result = foldData(this.dataUnfolded, options);
 
-        // loop through stacks
-        stacks.forEach(d => {
+        // update self
+        this.dataValid = result.data;
+        this.graph = new ConnectionGraph(result.data);
+        this.others = result.others;
 
-            // loop through connections
-            d.connections.forEach(dt => {
+        // compare what is drawn with the previous data folded the same way
+        this.comparison = this.dataPrevious ? diffData(foldData(this.dataPrevious, options).data, result.data) : null;
 
-                // check for prefix already captured
-                let segmentsWithSource = result.filter(d => d.split(".")[d.split(".").length - 1] === dt.source);
-                let hasPrefix = segmentsWithSource.length > 0;
+        // entries no longer drawn would leave everything dimmed
+        let selection = this.selection.filter(d => this.isSelectable(d));
 
-                // if prefixes are found
-                if (hasPrefix) {
+        if (selection.length < this.selection.length) {
 
-                    // loop through matches
-                    segmentsWithSource.forEach(s => {
+            // update self
+            this.selection = selection;
 
-                        // add to list
-                        result.push(`${s}.${dt.target}`);
+            // the caller lays out again so only the parent is told
+            if (this.artboard) this.emit("selectionchange", this.selectionDetail());
 
-                    });
+        }
 
-                } else {
+    }
 
-                    // add to list
-                    result.push(`${dt.source}.${dt.target}`);
+    /**
+     * Make a single bar or connection reachable with the tab key and the rest reachable with arrow keys.
+     */
+    configureNavigation() {
 
-                }
+        let nodes = this.navigationNodes();
 
-            });
+        // keep the last focused entry when it still exists
+        let current = nodes.find(d => d.id === this.navigationKey) || nodes[0];
 
-        });
+        nodes.forEach(d => select(d.node).attr("tabindex", d === current ? 0 : -1));
 
-        // one more loop to remove paths that were needed only to append to
-        // but now are out-of-date since later children complete the path
-        let prunedResult = [];
-        result.forEach(d => {
-            result.forEach(dt => {
-                if (dt.includes(d) && dt.length > d.length) {
-                    prunedResult.push(dt);
-                }
-            });
-        });
+    }
 
-        return prunedResult;
+    /**
+     * Validate options and apply the valid ones as properties.
+     * @param {object} options - option values as described in the README
+     * @returns An array of option keys whose value changed.
+     */
+    configureOptions(options) {
+
+        // defaults from the environment are held to the same rules
+        let defaults = this.options ? this.options : { ...validateOptions(configurationOptions).options, transitionEase: easeCubicInOut };
+        let result = validateOptions(options, defaults);
+
+        if (!result.valid) {
+
+            // strict mode refuses options it cannot use
+            if (result.options.strict) throw new ValidationError(result.errors, "stacked connections options");
+
+            console.warn(`${this.name}: ignored ${result.errors.length} invalid option${result.errors.length == 1 ? "" : "s"}`, result.errors);
+
+        }
+
+        let changed = Object.keys(result.options).filter(key => !this.options || result.options[key] !== this.options[key]);
+
+        // update self
+        this.options = result.options;
+        changed.forEach(key => this[key] = this.options[key]);
+
+        // annotations get two lines of text unless told otherwise
+        if (changed.includes("paddingAnnotations")) this.paddingAnnotations = this.options.paddingAnnotations === null ? this.artboardUnit * 2 : this.options.paddingAnnotations;
+
+        return changed;
 
     }
 
     /**
-     * Generate SVG connection paths in the HTML DOM.
-     * @param {node} domNode - HTML node
-     * @returns A d3.js selection.
+     * Fold again, lay out when already rendered and notify after Other items expand or collapse.
+     * @param {string} type - event name
+     * @param {array} stacks - stack keys that changed
      */
-    generateConnections(domNode) {
-        domNode
-            .each((connection, i, nodes) => {
+    configureOthers(type, stacks) {
 
-                let sourceStack = connection;
-                let targetStack = this.stacks[i+1];
-                let tracked = 0;
+        let others = [...this.others.values()];
 
-                // render connection values
-                select(nodes[i])
-                    //.selectAll(`.${this.stacks[i].key}-to-${this.stacks[i+1].key}`)
-                    .selectAll(".lgv-connection")
-                    .data(this.stacks[i].connections)
-                    .join(
-                        enter => enter.append("path"),
-                        update => update,
-                        exit => exit.remove()
-                    )
-                    .attr("class", "lgv-connection")
-                    .attr("data-path", d => [...new Set(this.connectionPaths.filter(x => x.includes(d.source) && x.includes(d.target)))])
-                    .attr("data-source", d => d.source)
-                    .attr("data-target", d => d.target)
-                    .attr("d", d => {
-
-                        let sourceStackLayout = sourceStack.series.filter(x => x.key === d.source)[0];
-                        let sourceStackItem = sourceStackLayout[0];
-                        let targetStackLayout = targetStack.series.filter(x => x.key === d.target)[0];
-                        let targetStackItem = targetStackLayout[0];
-
-                        let sourceX = this.horizontalScale(sourceStack.key) + this.barWidth;
-                        let sourceY0 = sourceStack.scale(sourceStackItem[0]) + (this.paddingStackCell * sourceStackLayout.index);
-                        let sourceY1 = sourceStack.scale(sourceStackItem[1]) + (this.paddingStackCell * sourceStackLayout.index);
-
-                        let targetX = this.horizontalScale(targetStack.key);
-                        let targetY0 = targetStack.scale(targetStackItem[0]) + (this.paddingStackCell * targetStackLayout.index);
-                        let targetY1 = targetStack.scale(targetStackItem[1]) + (this.paddingStackCell * targetStackLayout.index);
-
-                        // define connection path
-                        let p = path();
-                        // source top/left point of entire path shape
-                        p.moveTo(sourceX, sourceY0);
-                        // source top/left point cuved with 2 anchor points to top/right point of entire path shape
-                        p.bezierCurveTo(
-                            sourceX + (this.horizontalScale.step() / 2), sourceY0,
-                            targetX - (this.horizontalScale.step() / 2), targetY0,
-                            targetX, targetY0
-                        );
-                        // target straight line down the height of the stack item to bottom right point of entire path
-                        p.lineTo(targetX, targetY1);
-                        // target bottom/right point curved with 2 anchor points to bottom/left point of entire path shape
-                        p.bezierCurveTo(
-                            targetX - (this.horizontalScale.step() / 2), targetY0,
-                            sourceX + (this.horizontalScale.step() / 2), sourceY1,
-                            sourceX, sourceY1
-                        );
-                        // source bottom/left point straight up the height of the stack item to top/left point of entire path
-                        p.closePath();
-
-                        return p;
-
-                    });
+        this.configureFolding();
+        this.frameLayouts.clear();
 
+        if (this.artboard) {
+
+            this.generateVisualization();
+
+            // send event to parent
+            this.emit(type, {
+                others: others.concat([...this.others.values()]).filter(d => stacks.includes(d.stack)).map(d => ({ key: d.key, keys: d.keys, stack: d.stack })),
+                stacks: stacks
             });
+
+        }
+
     }
 
     /**
-     * Generate SVG text labels in the HTML DOM.
-     * @param {node} domNode - HTML node
-     * @returns A d3.js selection.
+     * Watch the container size when responsive and stop watching otherwise.
      */
-    generateStackLabels(domNode) {
-        domNode
-            .each((d, i, nodes) => {
-
-                // label container
-                select(domNode.nodes()[i])
-                    .selectAll(".lgv-label")
-                    .data(d.series)
-                    .join(
-                        enter => enter.append("g"),
-                        update => update,
-                        exit => exit.remove()
-                    )
-                    .attr("class", "lgv-label")
-                    .attr("data-key", x => x.key)
-                    .attr("transform", (x,j) => {
+    configureResponsive() {
 
-                        let tx = i == nodes.length - 1 ? this.horizontalScale(d.key) - this.paddingStackText - (this.characterWidth(x.key, this.artboardUnit)) : this.horizontalScale(d.key) + this.barWidth + this.paddingStackText;
+        let node = this.container ? this.container.node() : null;
+        let view = node ? node.ownerDocument.defaultView : null;
 
-                        let ty = d.scale(x[0][0]) + (this.paddingStackCell * j) + (d.scale(x[0].data[x.key]) / 2) - (this.artboardUnit /2);
+        // one watcher at a time
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        clearTimeout(this.resizeTimer);
 
-                        return `translate(${tx},${ty})`;
+        // update self
+        this.resizeObserver = null;
+        this.resizeTimer = null;
 
-                    })
-                    .each((x, j, nodes2) => {
+        if (!this.responsive || !view || !view.ResizeObserver) return;
 
-                        let g = select(nodes2[j]);
+        this.resizeObserver = new view.ResizeObserver(entries => {
 
-                        // add background for when underlying layer makes text illegible
-                        g.selectAll("rect")
-                            .data(d => [d])
-                            .join(
-                                enter => enter.append("rect"),
-                                update => update,
-                                exit => exit.remove()
-                            )
-                            .attr("x", 0)
-                            .attr("y", 0)
-                            .attr("width", this.characterWidth(x.key, this.artboardUnit))
-                            .attr("height", this.artboardUnit * 1.4);
+            let box = entries[entries.length - 1].contentRect;
 
-                        // add text
-                        g.selectAll("text")
-                            .data(d => [d])
-                            .join(
-                                enter => enter.append("text"),
-                                update => update,
-                                exit => exit.remove()
-                            )
-                            .attr("x", this.artboardUnit * 0.2)
-                            .attr("y", this.artboardUnit)
-                            .each((z, l, nodes3) => {
-                                select(nodes3[l])
-                                    .selectAll("tspan")
-                                    .data(this.includeValueInLabel ? [z.key, `${((z[0].data[z.key]/d.totalValues) * 100).toFixed(2)}%`] : [z.key])
-                                    .join(
-                                        enter => enter.append("tspan"),
-                                        update => update,
-                                        exit => exit.remove()
-                                    )
-                                    .attr("dx", (a, m) => m == 0 ? "" : `${m * 0.35}em`)
-                                    .text(z => z);
-                        });
+            // a container without a height of its own takes it from the chart so it is only followed on request
+            let height = this.responsive === "both" ? box.height : 0;
 
-                });
+            // lay out once the size settles
+            clearTimeout(this.resizeTimer);
+            this.resizeTimer = setTimeout(() => this.resize(box.width, height), this.resizeDelay);
 
         });
+
+        this.resizeObserver.observe(node);
+
     }
 
     /**
-     * Construct label groups for eac stack in HTML DOM.
-     * @param {node} domNode - HTML node
+     * Restyle and notify after the selection changes.
+     */
+    configureSelection() {
+
+        // restyle without regenerating geometry when already rendered
+        if (this.artboard) {
+
+            this.configureEmphasis();
+
+            // send event to parent
+            this.emit("selectionchange", this.selectionDetail());
+
+        }
+
+    }
+
+    /**
+     * Create or remove the built-in tooltip to match the requested state.
+     */
+    configureTooltip() {
+
+        // a new container or template needs a fresh tooltip
+        if (this.tooltip && (!this.tooltipEnabled || this.tooltip.container !== this.container.node())) {
+            this.tooltip.remove();
+            this.tooltip = null;
+        }
+
+        if (this.tooltipEnabled && !this.tooltip) this.tooltip = new Tooltip(this.container.node(), this.tooltipTemplate);
+
+        if (this.tooltip) this.tooltip.template = this.tooltipTemplate;
+
+    }
+
+    /**
+     * Select a bar, or expand it when it is an Other item.
+     * @param {event} e - click or keyboard event
+     * @param {string} key - item key of the bar
+     */
+    clickBar(e, key) {
+
+        if (this.others.has(key)) {
+            this.expandOther(this.others.get(key).stack);
+        } else {
+            this.toggleSelection(key, e.shiftKey || e.ctrlKey || e.metaKey);
+        }
+
+        // send event to parent
+        this.emit("barclick", this.barDetail(key, e.clientX === undefined ? null : [e.clientX, e.clientY]));
+
+    }
+
+    /**
+     * Select a connection and notify the parent of the click.
+     * @param {event} e - click event
+     * @param {object} d - ribbon datum of the connection
+     */
+    clickConnection(e, d) {
+
+        this.toggleSelection({ source: d.source, target: d.target }, e.shiftKey || e.ctrlKey || e.metaKey);
+
+        // send event to parent
+        this.emit("connectionclick", this.connectionDetail(d, e.clientX === undefined ? null : [e.clientX, e.clientY]));
+
+    }
+
+    /**
+     * Fold the small items of a stack back into its Other item.
+     * @param {string} stack - stack key, NULL for every stack
+     * @returns The StackedConnections instance.
+     */
+    collapseOther(stack=null) {
+
+        let collapsed = stack === null ? this.othersExpanded : this.othersExpanded.filter(d => d === stack);
+
+        if (collapsed.length == 0) return this;
+
+        // update self
+        this.othersExpanded = this.othersExpanded.filter(d => !collapsed.includes(d));
+
+        this.configureOthers("othercollapse", collapsed);
+
+        return this;
+
+    }
+
+    /**
+     * Draw the current data as a change from previous data.
+     * @param {object} previous - older stacks and connections as described in the README, NULL to stop comparing
+     * @returns An object with arrays of item and connection changes as described in the README, NULL when not comparing.
+     */
+    compare(previous=null) {
+
+        let result = previous === null ? null : this.validate(previous);
+
+        if (result && !result.valid) {
+
+            // strict mode refuses to compare against bad data
+            if (this.strict) throw new ValidationError(result.errors);
+
+            console.warn(`${this.name}: skipped ${result.errors.length} invalid previous record${result.errors.length == 1 ? "" : "s"}`, result.errors);
+
+        }
+
+        // update self
+        this.dataPrevious = result ? result.data : null;
+
+        this.configureFolding();
+        this.frameLayouts.clear();
+
+        if (this.artboard) this.generateVisualization();
+
+        return this.comparison;
+
+    }
+
+    /**
+     * Count every full path through an item or connection without listing them.
+     * @param {string|object} key - item key or connection object with source/target keys
+     * @returns An integer number of paths.
+     */
+    countPaths(key) {
+        return this.graph.countPaths(key);
+    }
+
+    /**
+     * Describe a connection for event consumers.
+     * @param {object} d - ribbon datum of the connection
+     * @param {array} xy - client position of the interaction
+     * @returns An object with source, target, focus, value, stacks, paths listed only when read and xy.
+     */
+    connectionDetail(d, xy) {
+
+        let graph = this.graph;
+
+        return {
+            focus: this.focusLabel(d),
+            get paths() { return graph.getPaths({ source: d.source, target: d.target }); },
+            source: d.source,
+            stacks: [d.sourceStack.key, d.targetStack.key],
+            target: d.target,
+            value: this.hasValue(d) ? d.value : null,
+            xy: xy
+        };
+
+    }
+
+    /**
+     * Count connections that cross each other between the same pair of stacks.
+     * @param {array} orders - item keys in stacking order for each stack
+     * @param {array} connections - connection objects with source/target keys
+     * @returns An integer number of crossings.
+     */
+    countCrossings(orders, connections) {
+
+        let positions = new Map();
+        let result = 0;
+
+        orders.forEach((keys, i) => keys.forEach((key, j) => positions.set(key, { index: j, stack: i })));
+
+        // group connections by the pair of stacks they join
+        let pairs = new Map();
+
+        connections.forEach(d => {
+
+            let pair = `${positions.get(d.source).stack}-${positions.get(d.target).stack}`;
+
+            if (!pairs.has(pair)) pairs.set(pair, []);
+
+            pairs.get(pair).push([positions.get(d.source).index, positions.get(d.target).index]);
+
+        });
+
+        // two connections cross when their source and target order disagree
+        pairs.forEach(links => {
+            links.forEach((a, i) => {
+                links.slice(i + 1).forEach(b => {
+                    if ((a[0] - b[0]) * (a[1] - b[1]) < 0) result += 1;
+                });
+            });
+        });
+
+        return result;
+
+    }
+
+    /**
+     * Remove bar highlight and notify the parent.
+     * @param {node} node - bar DOM node, null when drawn to canvas
+     * @param {object} d - series datum of the bar
+     */
+    deactivateBar(node, d=select(node).datum()) {
+
+        // update class
+        select(node).classed("active", false);
+
+        // hide a label revealed on hover again
+        this.revealLabel(d.key, false);
+
+        if (this.tooltip) this.tooltip.hide();
+
+        // send event to parent
+        this.emit("barmouseout", this.barDetail(d.key, null));
+
+    }
+
+    /**
+     * Remove highlight from a connection and notify the parent.
+     * @param {node} node - connection DOM node, null when drawn to canvas
+     * @param {object} d - ribbon datum of the connection
+     */
+    deactivateConnection(node, d=select(node).datum()) {
+
+        // update class
+        select(node).classed("active", false);
+
+        if (this.tooltip) this.tooltip.hide();
+
+        // send event to parent
+        this.emit("connectionmouseout", this.connectionDetail(d, null));
+
+    }
+
+    /**
+     * Validate source data and keep the records that can be drawn.
+     * @param {object} data - stacks and connections as described in the README
+     */
+    configureSource(data) {
+
+        let result = this.validate(data);
+
+        if (!result.valid) {
+
+            // strict mode refuses to draw anything from bad data
+            if (this.strict) throw new ValidationError(result.errors);
+
+            console.warn(`${this.name}: skipped ${result.errors.length} invalid record${result.errors.length == 1 ? "" : "s"}`, result.errors);
+
+        }
+
+        // data from the caller ends playback so the next tick does not replace it
+        this.pause();
+
+        // update self
+        this.dataSource = data;
+        this.dataUnfolded = result.data;
+        this.frameIndex = null;
+
+        this.configureFolding();
+
+    }
+
+    /**
+     * Remove the chart from the DOM and release its listeners and observers.
+     */
+    destroy() {
+
+        this.emit("destroy");
+
+        // stop watching the container
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        clearTimeout(this.resizeTimer);
+
+        this.pause();
+
+        if (this.tooltip) this.tooltip.remove();
+
+        if (this.artboard) {
+
+            // nothing left running against removed nodes
+            this.artboard.selectAll("*").interrupt();
+
+            this.artboard.remove();
+
+        }
+
+        if (this.container) this.container.selectAll(`.${this.name}-canvas, .${this.name}-legend`).remove();
+
+        // update self
+        this.artboard = null;
+        this.canvas = null;
+        this.canvasActive = null;
+        this.canvasLayout = null;
+        this.canvasStyles.clear();
+        this.connectionGroup = null;
+        this.container = null;
+        this.listeners.clear();
+        this.resizeObserver = null;
+        this.resizeTimer = null;
+        this.stackGroup = null;
+        this.stackLabelGroup = null;
+        this.textWidths.clear();
+        this.tooltip = null;
+
+    }
+
+    /**
+     * Draw connections and bars to the canvas.
+     * @param {object} emphasis - focus and selection state from generateEmphasisLayout()
+     */
+    drawCanvas(emphasis) {
+
+        let canvas = this.canvas.node();
+        let svg = this.artboard.node();
+        let view = svg.ownerDocument.defaultView;
+
+        // match the rendered svg box so both layers line up
+        let box = svg.getBoundingClientRect();
+        let width = box.width || this.width;
+        let height = box.height || this.height;
+        let ratio = view && view.devicePixelRatio ? view.devicePixelRatio : 1;
+
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        canvas.style.height = `${height}px`;
+        canvas.style.left = `${svg.offsetLeft || 0}px`;
+        canvas.style.top = `${svg.offsetTop || 0}px`;
+        canvas.style.width = `${width}px`;
+
+        // shapes in paint order, raised ones last like svg raise()
+        let order = (a, b) => a.isRaised - b.isRaised;
+
+        let ribbons = (this.ribbons || []).map(d => ({
+            className: ["lgv-connection", this.focusLabel(d) ? `lgv-focus ${this.focusClass(d.focus)}` : null, emphasis.isConnectionFocused(d) ? "focused" : null, emphasis.isConnectionSelected(d) ? "selected" : null, emphasis.isConnectionDimmed(d) ? "dimmed" : null].filter(x => x).join(" "),
+            d: d,
+            isDimmed: emphasis.isConnectionDimmed(d),
+            isRaised: emphasis.isConnectionRaised(d),
+            path: this.generateRibbonPath(d)
+        })).sort(order);
+
+        let bars = (this.stacks || []).flatMap(category => category.series.map(d => ({
+            category: category,
+            className: ["lgv-bar", emphasis.isBarFocused(d) ? "focused" : null, emphasis.isBarSelected(d) ? "selected" : null, emphasis.isBarDimmed(d) ? "dimmed" : null].filter(x => x).join(" "),
+            d: d,
+            isDimmed: emphasis.isBarDimmed(d),
+            isRaised: emphasis.isBarRaised(d),
+            rect: this.barRect(category, d)
+        }))).sort(order);
+
+        // kept for hit testing
+        this.canvasLayout = { bars: bars, ribbons: ribbons };
+
+        let context = canvas.getContext ? canvas.getContext("2d") : null;
+
+        // environments without canvas support such as jsdom still hit test
+        if (!context) return;
+
+        context.setTransform(ratio * width / this.width, 0, 0, ratio * height / this.height, 0, 0);
+        context.clearRect(0, 0, this.width, this.height);
+        context.translate(0, this.paddingAnnotations);
+
+        ribbons.forEach(r => {
+
+            let style = this.canvasStyle(r.className, this.focusLabel(r.d) ? { ...styleDefault.connection, ...styleDefault.focus } : styleDefault.connection);
+
+            let color = this.colorLayout.connection(r.d);
+
+            r.shape = new Path2D(r.path);
+
+            // blend source into target color along the stack axis
+            if (Array.isArray(color)) {
+                let [x0, y0] = this.projectPoint(r.d.points[0].x1, 0);
+                let [x1, y1] = this.projectPoint(r.d.points[r.d.points.length - 1].x0, 0);
+                let gradient = context.createLinearGradient(x0, y0, x1, y1);
+                gradient.addColorStop(0, color[0]);
+                gradient.addColorStop(1, color[1]);
+                color = gradient;
+            }
+
+            context.globalAlpha = style.fillOpacity * (r.isDimmed ? this.opacityDimmed : 1);
+            context.fillStyle = color ? color : style.fill;
+            context.fill(r.shape);
+
+        });
+
+        bars.forEach(b => {
+
+            let style = this.canvasStyle(b.className, styleDefault.bar);
+            let color = this.colorLayout.bar(b.category, b.d);
+
+            context.globalAlpha = style.fillOpacity * (b.isDimmed ? this.opacityDimmed : 1);
+            context.fillStyle = color ? color : style.fill;
+            context.fillRect(b.rect.x, b.rect.y, b.rect.width, b.rect.height);
+
+        });
+
+        context.globalAlpha = 1;
+
+    }
+
+    /**
+     * Notify the parent and anything subscribed with on().
+     * @param {string} type - event name as listed in the README
+     * @param {object} detail - event payload
+     */
+    emit(type, detail=null) {
+
+        // dom event bubbling from the svg, documents without a window cannot construct one
+        if (this.artboard && this.artboard.node().ownerDocument.defaultView) this.artboard.dispatch(type, { bubbles: true, detail: detail });
+
+        // and to anything subscribed on the instance
+        (this.listeners.get(type) || []).forEach(handler => handler.call(this, { chart: this, detail: detail, type: type }));
+
+    }
+
+    /**
+     * Show the items folded into the Other item of a stack.
+     * @param {string} stack - stack key, NULL for every stack
+     * @returns The StackedConnections instance.
+     */
+    expandOther(stack=null) {
+
+        let expanded = [...this.others.values()].map(d => d.stack).filter(d => stack === null || d === stack);
+
+        if (expanded.length == 0) return this;
+
+        // update self
+        this.othersExpanded = this.othersExpanded.concat(expanded);
+
+        this.configureOthers("otherexpand", expanded);
+
+        return this;
+
+    }
+
+    /**
+     * Convert a focus label into a class name safe token.
+     * @param {string} label - focus label from a connection
+     * @returns A string class name prefixed with lgv-focus-.
+     */
+    focusClass(label) {
+        return `lgv-focus-${String(label).replace(/[^a-zA-Z0-9_-]/g, "-")}`;
+    }
+
+    /**
+     * Get the focus label of a connection.
+     * @param {object} connection - connection object with source/target keys
+     * @returns A string focus label or null when the connection is not tagged.
+     */
+    focusLabel(connection) {
+        return connection.focus === null || connection.focus === undefined || connection.focus === "" ? null : String(connection.focus);
+    }
+
+    /**
+     * Describe the frame being drawn.
+     * @returns An object with the frame index, its time, the number of frames and whether playback is running.
+     */
+    frameDetail() {
+        return {
+            count: this.frames.length,
+            index: this.frameIndex,
+            isPlaying: this.playTimer !== null,
+            time: this.frameIndex === null ? null : this.frames[this.frameIndex].time
+        };
+    }
+
+    /**
+     * Convert a frame time into a comparable number.
+     * @param {date|number|string} time - frame time
+     * @returns A number of milliseconds for dates and date strings and the number as is otherwise.
+     */
+    frameTime(time) {
+        return time instanceof Date ? time.getTime() : typeof(time) == "string" ? Date.parse(time) : time;
+    }
+
+    /**
+     * Generate SVG text elements in the HTML DOM.
+     * @param {node} domNode - HTML node
+     * @returns A d3.js selection.
+     */
+    generateAnnotations(domNode) {
+        return domNode
+            .selectAll(".lgv-annotation")
+            .data(this.stacks ? this.stacks : [], d => d.key)
+            .join(
+                enter => this.transitionEnter(enter.append("text")),
+                update => update,
+                exit => this.transitionExit(exit)
+            )
+            .attr("class", "lgv-annotation");
+    }
+
+    /**
+     * Generate SVG artboard in the HTML DOM.
+     * @param {selection} domNode - d3 selection
+     * @returns A d3.js selection.
+     */
+    generateArtboard(domNode) {
+        return domNode
+            .selectAll("svg")
+            .data([{height: this.height, width: this.width}])
+            .join(
+                enter => enter.append("svg"),
+                update => update,
+                exit => exit.remove()
+            )
+            .attr("viewBox", d => `0 0 ${d.width} ${d.height}`)
+            .attr("width", d => this.responsive ? d.width : null)
+            .attr("height", d => this.responsive ? d.height : null)
+            .style("display", this.responsive ? "block" : null)
+            .attr("class", this.name)
+            .attr("role", this.isStatic ? "img" : "group")
+            .attr("aria-roledescription", "stacked connections chart")
+            .call(artboard => {
+
+                let stacks = this.stacks ? this.stacks : [];
+                let connectionCount = sum(stacks.map(d => d.connections ? d.connections.length : 0));
+
+                // accessible name and description must be the first children of the svg
+                artboard.selectAll(".lgv-description")
+                    .data([this.description ? this.description : `${stacks.length} stacks with ${connectionCount} connections.${this.isStatic ? "" : " Use the arrow keys to move between items and connections and Enter or Space to select."}`])
+                    .join(enter => enter.insert("desc", ":first-child"))
+                    .attr("class", "lgv-description")
+                    .text(d => d);
+
+                artboard.selectAll(".lgv-title")
+                    .data([this.title ? this.title : `Stacked connections between ${stacks.map(d => d.key).join(", ")}`])
+                    .join(enter => enter.insert("title", ":first-child"))
+                    .attr("class", "lgv-title")
+                    .text(d => d);
+
+            });
+    }
+
+    /**
+     * Construct bar shapes in HTML DOM.
+     * @param {node} domNode - HTML node
      * @returns A d3.js selection.
      */
-    generateStackLabelGroups(domNode) {
-        return domNode
-            .selectAll(".lgv-labels")
-            .data(this.stacks ? this.stacks : [])
-            .join(
-                enter => enter.append("g"),
-                update => update,
-                exit => exit.remove()
-            )
-            .attr("class", "lgv-labels");
-            //.attr("class", d => `lgv-${d.key}-labels`);
+    generateBars(domNode) {
+        domNode.each((category, i, nodes) => {
+
+            let rect = d => this.barRect(category, d);
+
+            // position a bar
+            const geometry = s => s
+                .attr("x", d => rect(d).x)
+                .attr("y", d => rect(d).y)
+                .attr("height", d => rect(d).height)
+                .attr("width", d => rect(d).width);
+
+            // render stack values
+            const bars = select(nodes[i])
+                .selectAll(".lgv-bar")
+                .data(this.isCanvas ? [] : category.series, d => d.key)
+                .join(
+                    enter => this.transitionEnter(enter.append("rect").call(geometry)),
+                    update => update,
+                    exit => this.transitionExit(exit)
+                );
+
+            // tween to new geometry
+            this.transition(bars)
+                .style("opacity", null)
+                .call(geometry);
+
+            bars
+                .attr("data-key", d => d.key)
+                .attr("class", "lgv-bar")
+                .classed("lgv-other", d => this.others.has(d.key))
+                .attr("data-change", d => this.deltaLayout.item(d.key) ? this.deltaLayout.item(d.key).status : null)
+                .style("fill", d => this.colorLayout.bar(category, d))
+                .attr("role", "button")
+                .attr("aria-label", d => `${category.key}: ${this.itemLabel(d.key)}, ${this.itemPercent(category, d.key)}`)
+                .attr("aria-expanded", d => this.others.has(d.key) ? "false" : null)
+                .on("mouseover", (e,d) => this.activateBar(e.target, d, category, [e.clientX + (this.artboardUnit / 2), e.clientY + (this.artboardUnit / 2)]))
+                .on("mouseout", e => this.deactivateBar(e.target))
+                .on("focus", (e,d) => {
+
+                    let box = e.target.getBoundingClientRect();
+
+                    this.navigationKey = this.selectionKey(d.key);
+                    this.activateBar(e.target, d, category, [box.right + (this.artboardUnit / 2), box.top + (this.artboardUnit / 2)]);
+
+                })
+                .on("blur", e => this.deactivateBar(e.target))
+                .on("keydown", (e,d) => this.navigate(e, d.key))
+                .on("click", (e,d) => this.clickBar(e, d.key));
+
+            // growth and shrink since the previous data
+            select(nodes[i])
+                .selectAll(".lgv-delta")
+                .data(category.series.filter(d => this.deltaLayout.item(d.key) && ["increased", "decreased"].includes(this.deltaLayout.item(d.key).status)), d => d.key)
+                .join(
+                    enter => enter.append("path"),
+                    update => update,
+                    exit => exit.remove()
+                )
+                .attr("class", "lgv-delta")
+                .attr("data-change", d => this.deltaLayout.item(d.key).status)
+                .attr("aria-hidden", "true")
+                .attr("pointer-events", "none")
+                .attr("d", d => this.generateDeltaPath(rect(d), this.deltaLayout.item(d.key).status === "increased"));
+
+        });
+    }
+
+    /**
+     * Construct canvas layer under the svg for bars and connections.
+     * @param {node} domNode - HTML node
+     * @returns A d3.js selection.
+     */
+    generateCanvas(domNode) {
+
+        let view = domNode.node().ownerDocument.defaultView;
+
+        // absolute positions are calculated from the container
+        if (this.isCanvas && view && view.getComputedStyle && view.getComputedStyle(domNode.node()).position === "static") domNode.style("position", "relative");
+
+        // labels and annotations stay in the svg drawn over the canvas
+        this.artboard.style("position", this.isCanvas ? "relative" : null);
+
+        return domNode
+            .selectAll(`.${this.name}-canvas`)
+            .data(this.isCanvas ? [this.renderer] : [])
+            .join(
+                enter => enter.insert("canvas", () => this.artboard.node()),
+                update => update,
+                exit => exit.remove()
+            )
+            .attr("class", `${this.name}-canvas`)
+            .attr("aria-hidden", "true")
+            .style("pointer-events", "none")
+            .style("position", "absolute");
+
+    }
+
+    /**
+     * Construct fills for bars and connections from the color option.
+     * @returns An object with bar and connection color functions, gradient ids and legend entries.
+     */
+    generateColorLayout() {
+
+        let options = typeof(this.color) == "function" ? { by: this.color } : this.color;
+        let stacks = this.stacks ? this.stacks : [];
+        let ribbons = this.ribbons ? this.ribbons : [];
+
+        let result = {
+            bar: () => null,
+            connection: () => null,
+            gradientId: () => null,
+            gradients: [],
+            legend: null
+        };
+
+        // no color leaves fills to css
+        if (!options || !options.by) return result;
+
+        // what a user function or scale is given for each shape
+        let barDatum = (category, d) => ({ key: d.key, stack: category.key, type: "bar", value: d[0].data[d.key] });
+        let connectionDatum = d => ({ focus: this.focusLabel(d), source: d.source, sourceStack: d.sourceStack.key, target: d.target, targetStack: d.targetStack.key, type: "connection", value: this.hasValue(d) ? d.value : null });
+
+        let barColor;
+        let connectionColor;
+
+        if (typeof(options.by) == "function") {
+
+            barColor = (category, d) => options.by(barDatum(category, d));
+            connectionColor = d => options.by(connectionDatum(d));
+
+        } else {
+
+            let isValue = options.by === "value";
+
+            let domain = {
+                focus: () => [...new Set(ribbons.map(d => this.focusLabel(d)).filter(d => d !== null))],
+                item: () => stacks.flatMap(d => d.series.map(x => x.key)),
+                stack: () => stacks.map(d => d.key),
+                value: () => extent(stacks.flatMap(d => d.series.map(x => x[0].data[x.key])).concat(ribbons.filter(d => this.hasValue(d)).map(d => d.value)))
+            }[options.by]();
+
+            let scale;
+
+            if (typeof(options.scale) == "function") {
+                scale = options.scale;
+            } else if (isValue) {
+                scale = scaleLinear().domain(domain[0] === undefined ? [0, 1] : domain).range(Array.isArray(options.scale) ? options.scale : styleDefault.sequential);
+            } else if (options.scale === "sequential") {
+                let position = scaleLinear().domain([0, Math.max(domain.length - 1, 1)]).range(styleDefault.sequential);
+                scale = key => position(domain.indexOf(key));
+            } else {
+                scale = scaleOrdinal().domain(domain).range(Array.isArray(options.scale) ? options.scale : styleDefault.categorical);
+            }
+
+            barColor = (category, d) => ({
+                focus: null,
+                item: scale(d.key),
+                stack: scale(category.key),
+                value: scale(d[0].data[d.key])
+            })[options.by];
+
+            connectionColor = d => ({
+                focus: this.focusLabel(d) !== null ? scale(this.focusLabel(d)) : null,
+                item: scale(d.source),
+                stack: scale(d.sourceStack.key),
+                value: this.hasValue(d) ? scale(d.value) : null
+            })[options.by];
+
+            result.legend = {
+                entries: isValue ? domain.filter(d => d !== undefined).map(d => ({ color: scale(d), label: d })) : domain.map(d => ({ color: scale(d), label: d })),
+                isSequential: isValue,
+                title: options.by
+            };
+
+        }
+
+        let colors = new Map(stacks.flatMap(category => category.series.map(d => [d.key, barColor(category, d)])));
+
+        // connections take their own color unless told to follow the items they join
+        let mode = options.connections ? options.connections : ["stack", "item"].includes(options.by) ? "source" : "self";
+
+        result.bar = (category, d) => barColor(category, d);
+        result.connection = d => ({
+            gradient: [colors.get(d.source), colors.get(d.target)],
+            self: connectionColor(d),
+            source: colors.get(d.source),
+            target: colors.get(d.target)
+        })[mode];
+
+        // gradients are referenced by id from each ribbon
+        if (mode === "gradient") {
+
+            let ids = new Map(ribbons.map((d, i) => [d, `${this.id}-gradient-${i}`]));
+
+            result.gradientId = d => ids.get(d);
+            result.gradients = ribbons.map(d => ({ colors: result.connection(d), id: ids.get(d), ribbon: d }));
+
+        }
+
+        // a legend needs a known set of colors
+        if (!options.legend) result.legend = null;
+
+        return result;
+
+    }
+
+    /**
+     * Construct connection group in HTML DOM.
+     * @param {node} domNode - HTML node
+     * @returns A d3.js selection.
+     */
+    generateConnectionGroups(domNode) {
+        return domNode
+            .selectAll(".lgv-connections")
+            .data(this.stacks ? this.stacks.slice(0, this.stacks.length - 1) : [], d => d.key)
+            .join(
+                enter => enter.append("g"),
+                update => update,
+                exit => this.transitionExit(exit)
+            )
+            .attr("class", "lgv-connections")
+    }
+
+    /**
+     * Sum connection values at each end of every item.
+     * @param {array} connections - connection objects
+     * @returns An object with source and target maps of item key to the total value of connections leaving or entering it.
+     */
+    generateConnectionTotals(connections) {
+
+        let result = { source: new Map(), target: new Map() };
+
+        connections
+            .filter(d => this.hasValue(d))
+            .forEach(d => ["source", "target"].forEach(end => result[end].set(d[end], (result[end].get(d[end]) || 0) + d.value)));
+
+        return result;
+
+    }
+
+    /**
+     * Construct ribbon layout for every connection.
+     * @param {array} stacks - generated data array from get data()
+     * @returns An array of connection objects extended with the stacks they join and the waypoints of each ribbon.
+     */
+    generateConnectionLayout(stacks) {
+
+        // stack index and series position of every item
+        let positions = new Map();
+
+        stacks.forEach((stack, i) => stack.series.forEach(d => positions.set(d.key, { index: d.index, stack: i })));
+
+        let compare = (a, b) => positions.get(a).stack - positions.get(b).stack || positions.get(a).index - positions.get(b).index;
+
+        // only connections where both ends can be drawn
+        let connections = [].concat(...stacks.map(d => d.connections || []))
+            .filter(d => positions.has(d.source) && positions.has(d.target) && positions.get(d.source).stack < positions.get(d.target).stack);
+
+        // running offset from the top of each bar as ribbons are stacked into it
+        let sourceOffsets = {};
+        let targetOffsets = {};
+
+        let ribbons = new Map(connections.map(d => [d, {
+            sourceStack: stacks[positions.get(d.source).stack],
+            targetStack: stacks[positions.get(d.target).stack]
+        }]));
+
+        let totals = this.generateConnectionTotals(connections);
+
+        // ribbons sharing an end shrink together when their values add up to more than the item
+        let thicknessOf = (d, end) => {
+
+            let stack = ribbons.get(d)[`${end}Stack`];
+            let [y0, y1] = this.itemExtent(stack, d[end]);
+            let total = stack.scale(totals[end].get(d[end]));
+
+            return stack.scale(d.value) * (total > y1 - y0 ? (y1 - y0) / total : 1);
+
+        };
+
+        // stack ribbons in the source by target order so they do not cross within the gap
+        connections
+            .filter(d => this.hasValue(d))
+            .sort((a,b) => compare(a.source, b.source) || compare(a.target, b.target))
+            .forEach(d => {
+
+                let ribbon = ribbons.get(d);
+                let [y0] = this.itemExtent(ribbon.sourceStack, d.source);
+                let offset = sourceOffsets[d.source] || 0;
+                let thickness = thicknessOf(d, "source");
+
+                ribbon.sourceY0 = y0 + offset;
+                ribbon.sourceY1 = y0 + offset + thickness;
+
+                sourceOffsets[d.source] = offset + thickness;
+
+            });
+
+        // stack ribbons in the target by source order for the same reason
+        connections
+            .filter(d => this.hasValue(d))
+            .sort((a,b) => compare(a.target, b.target) || compare(a.source, b.source))
+            .forEach(d => {
+
+                let ribbon = ribbons.get(d);
+                let [y0] = this.itemExtent(ribbon.targetStack, d.target);
+                let offset = targetOffsets[d.target] || 0;
+                let thickness = thicknessOf(d, "target");
+
+                ribbon.targetY0 = y0 + offset;
+                ribbon.targetY1 = y0 + offset + thickness;
+
+                targetOffsets[d.target] = offset + thickness;
+
+            });
+
+        return connections.map(d => {
+
+            let ribbon = ribbons.get(d);
+
+            // connections without a value span the full height of both bars
+            if (!this.hasValue(d)) {
+                [ribbon.sourceY0, ribbon.sourceY1] = this.itemExtent(ribbon.sourceStack, d.source);
+                [ribbon.targetY0, ribbon.targetY1] = this.itemExtent(ribbon.targetStack, d.target);
+            }
+
+            let sourceX = this.stackScale(ribbon.sourceStack.key) + this.barWidth;
+            let targetX = this.stackScale(ribbon.targetStack.key);
+
+            // lanes reserved in every stack the ribbon skips over
+            let lanes = stacks
+                .slice(positions.get(d.source).stack + 1, positions.get(d.target).stack)
+                .map(stack => {
+
+                    let lane = stack.lanes.find(x => x.connection === d);
+
+                    return { x0: this.stackScale(stack.key), x1: this.stackScale(stack.key) + this.barWidth, y0: lane.y0, y1: lane.y1 };
+
+                });
+
+            return {
+                ...d,
+                ...ribbon,
+                points: [
+                    { x0: sourceX, x1: sourceX, y0: ribbon.sourceY0, y1: ribbon.sourceY1 },
+                    ...lanes,
+                    { x0: targetX, x1: targetX, y0: ribbon.targetY0, y1: ribbon.targetY1 }
+                ],
+                sourceX: sourceX,
+                targetX: targetX
+            };
+
+        });
+
+    }
+
+    /**
+     * Generate SVG connection paths in the HTML DOM.
+     * @param {node} domNode - HTML node
+     * @returns A d3.js selection.
+     */
+    generateConnections(domNode) {
+        domNode
+            .each((sourceStack, i, nodes) => {
+
+                // render connection values
+                const connections = select(nodes[i])
+                    .selectAll(".lgv-connection")
+                    .data(this.isCanvas ? [] : this.ribbons.filter(d => d.sourceStack.key === sourceStack.key), d => JSON.stringify([d.source, d.target]))
+                    .join(
+                        enter => this.transitionEnter(enter.append("path").attr("d", d => this.generateRibbonPath(d))),
+                        update => update,
+                        exit => this.transitionExit(exit)
+                    );
+
+                // interpolate to new shape
+                this.transition(connections)
+                    .style("opacity", null)
+                    .attr("d", d => this.generateRibbonPath(d));
+
+                connections
+                    .attr("class", d => this.focusLabel(d) ? `lgv-connection lgv-focus ${this.focusClass(d.focus)}` : "lgv-connection")
+                    .style("fill", d => {
+                        let color = this.colorLayout.connection(d);
+                        return Array.isArray(color) ? `url(#${this.colorLayout.gradientId(d)})` : color;
+                    })
+                    .attr("data-focus", d => this.focusLabel(d))
+                    .attr("data-path", d => JSON.stringify(this.getPathKeys({ source: d.source, target: d.target })))
+                    .attr("data-change", d => this.deltaLayout.connection(d) ? this.deltaLayout.connection(d).status : null)
+                    .attr("data-source", d => d.source)
+                    .attr("data-target", d => d.target)
+                    .attr("data-value", d => this.hasValue(d) ? d.value : null)
+                    .attr("role", "button")
+                    .attr("aria-label", d => `${d.source} in ${d.sourceStack.key} to ${d.target} in ${d.targetStack.key}${this.hasValue(d) ? `, value ${d.value}` : ""}`)
+                    .on("mouseover", (e,d) => this.activateConnection(e.target, d, [e.clientX + (this.artboardUnit / 2), e.clientY + (this.artboardUnit / 2)]))
+                    .on("mouseout", e => this.deactivateConnection(e.target))
+                    .on("focus", (e,d) => {
+
+                        let box = e.target.getBoundingClientRect();
+
+                        this.navigationKey = this.selectionKey(d);
+                        this.activateConnection(e.target, d, [box.right + (this.artboardUnit / 2), box.top + (this.artboardUnit / 2)]);
+
+                    })
+                    .on("blur", e => this.deactivateConnection(e.target))
+                    .on("keydown", (e,d) => this.navigate(e, { source: d.source, target: d.target }))
+                    .on("click", (e,d) => this.clickConnection(e, d));
+
+            });
+    }
+
+    /**
+     * Determine how each item and connection changed since the previous data.
+     * @param {array} stacks - stack objects from get data()
+     * @returns An object with item and connection lookups returning a change from diffData() or null, and removed connections laid out as ribbons without thickness.
+     */
+    generateDeltaLayout(stacks) {
+
+        let result = {
+            connection: () => null,
+            item: () => null,
+            removed: []
+        };
+
+        // nothing to compare against
+        if (!this.comparison) return result;
+
+        let items = new Map(this.comparison.items.map(d => [d.key, d]));
+        let connections = new Map(this.comparison.connections.map(d => [JSON.stringify([d.source, d.target]), d]));
+        let positions = new Map(stacks.flatMap((stack, i) => stack.series.map(d => [d.key, { index: i, stack: stack }])));
+
+        // removed connections are drawn between the middle of both items when they are still there
+        let middle = (stack, key) => sum(this.itemExtent(stack, key)) / 2;
+
+        result.connection = d => connections.get(JSON.stringify([d.source, d.target])) || null;
+        result.item = key => items.get(key) || null;
+        result.removed = this.comparison.connections
+            .filter(d => d.status === "removed" && positions.has(d.source) && positions.has(d.target) && positions.get(d.source).index < positions.get(d.target).index)
+            .map(d => {
+
+                let source = positions.get(d.source).stack;
+                let target = positions.get(d.target).stack;
+                let sourceX = this.stackScale(source.key) + this.barWidth;
+                let targetX = this.stackScale(target.key);
+
+                return {
+                    ...d,
+                    points: [
+                        { x0: sourceX, x1: sourceX, y0: middle(source, d.source), y1: middle(source, d.source) },
+                        { x0: targetX, x1: targetX, y0: middle(target, d.target), y1: middle(target, d.target) }
+                    ]
+                };
+
+            });
+
+        return result;
+
+    }
+
+    /**
+     * Construct the triangle drawn over a bar that grew or shrank.
+     * @param {object} rect - x, y, width and height of the bar from barRect()
+     * @param {boolean} isUp - TRUE will point up for growth
+     * @returns A string of svg path.
+     */
+    generateDeltaPath(rect, isUp) {
+
+        let size = Math.min(rect.width, rect.height, this.artboardUnit * 0.6);
+        let x = rect.x + (rect.width / 2);
+        let y = rect.y + (rect.height / 2);
+        let direction = isUp ? -1 : 1;
+
+        let p = path();
+        p.moveTo(x - (size / 2), y - (direction * size / 2));
+        p.lineTo(x + (size / 2), y - (direction * size / 2));
+        p.lineTo(x, y + (direction * size / 2));
+        p.closePath();
+
+        return p.toString();
+
+    }
+
+    /**
+     * Determine how focus and selection emphasize each bar and connection.
+     * @returns An object with active flags and predicates for focused, selected, dimmed and raised shapes.
+     */
+    generateEmphasisLayout() {
+
+        let isFocusActive = this.focus !== null && this.focus !== undefined && this.focus !== false;
+        let isSelectionActive = this.selection.length > 0;
+
+        // connections matching the active focus
+        let isConnectionFocused = d => isFocusActive && this.focusLabel(d) !== null && (this.focus === true || this.focusLabel(d) === String(this.focus));
+
+        let focusedKeys = new Set();
+
+        (this.ribbons || []).filter(isConnectionFocused).forEach(d => {
+            focusedKeys.add(d.source);
+            focusedKeys.add(d.target);
+        });
+
+        // items and connections on a full path through the selection
+        let selected = this.generateSelectionLayout();
+
+        let isConnectionSelected = d => selected.connections.has(JSON.stringify([d.source, d.target]));
+        let isConnectionDimmed = d => (isFocusActive && !isConnectionFocused(d)) || (isSelectionActive && !isConnectionSelected(d));
+        let isBarFocused = d => isFocusActive && focusedKeys.has(d.key);
+        let isBarSelected = d => selected.keys.has(d.key);
+        let isBarDimmed = d => (isFocusActive && !focusedKeys.has(d.key)) || (isSelectionActive && !selected.keys.has(d.key));
+
+        return {
+            isBarDimmed: isBarDimmed,
+            isBarFocused: isBarFocused,
+            isBarRaised: d => !isBarDimmed(d) && (focusedKeys.has(d.key) || selected.keys.has(d.key)),
+            isBarSelected: isBarSelected,
+            isConnectionDimmed: isConnectionDimmed,
+            isConnectionFocused: isConnectionFocused,
+            isConnectionRaised: d => !isConnectionDimmed(d) && (isConnectionFocused(d) || isConnectionSelected(d)),
+            isConnectionSelected: isConnectionSelected,
+            isFocusActive: isFocusActive,
+            isSelectionActive: isSelectionActive
+        };
+
+    }
+
+    /**
+     * Determine one item order per stack shared by every frame.
+     * @param {array} frames - objects with validated data from setFrames()
+     * @returns A map of stack key to item keys in order.
+     */
+    generateFrameOrders(frames) {
+
+        let stacks = new Map();
+        let connections = new Map();
+
+        // every item with its value summed over time and every connection seen
+        frames.forEach(frame => {
+
+            frame.data.stacks.forEach(s => {
+
+                let stackKey = Object.keys(s)[0];
+                let items = stacks.get(stackKey) || {};
+
+                Object.keys(s[stackKey]).forEach(key => items[key] = (items[key] || 0) + s[stackKey][key]);
+
+                stacks.set(stackKey, items);
+
+            });
+
+            frame.data.connections.forEach(c => connections.set(JSON.stringify([c.source, c.target]), { source: c.source, target: c.target }));
+
+        });
+
+        let data = validateData({
+            stacks: [...stacks].map(d => ({ [d[0]]: d[1] })),
+            connections: [...connections.values()]
+        }).data;
+
+        // order the combined data the usual way
+        return new Map(this.generateStackOrders(data).map((d, i) => [Object.keys(data.stacks[i])[0], d]));
+
+    }
+
+    /**
+     * Determine the stacking order of items in every stack of a frame.
+     * @param {object} data - validated stacks and connections of the frame
+     * @returns An array of item keys per stack in the order shared by every frame, items not seen when frames were set follow sortKeys().
+     */
+    generateFrameStackOrders(data) {
+        return data.stacks.map(s => {
+
+            let stackKey = Object.keys(s)[0];
+            let keys = (this.frameOrders.get(stackKey) || []).filter(d => s[stackKey][d] !== undefined);
+
+            return keys.concat(this.sortKeys(s[stackKey]).filter(d => !keys.includes(d)));
+
+        });
+    }
+
+    /**
+     * Construct gradient definitions for connections blending source into target color.
+     * @param {node} domNode - d3.js SVG selection
+     * @returns A d3.js selection.
+     */
+    generateGradients(domNode) {
+
+        const defs = domNode
+            .selectAll(".lgv-gradients")
+            .data(this.colorLayout.gradients.length > 0 && !this.isCanvas ? [this.colorLayout.gradients] : [])
+            .join(
+                enter => enter.append("defs"),
+                update => update,
+                exit => exit.remove()
+            )
+            .attr("class", "lgv-gradients");
+
+        const gradients = defs
+            .selectAll("linearGradient")
+            .data(d => d)
+            .join(
+                enter => enter.append("linearGradient").call(g => g.append("stop").attr("offset", 0)).call(g => g.append("stop").attr("offset", 1)),
+                update => update,
+                exit => exit.remove()
+            )
+            .attr("id", d => d.id)
+            .attr("gradientUnits", "userSpaceOnUse")
+            .attr("x1", d => this.projectPoint(d.ribbon.points[0].x1, 0)[0])
+            .attr("y1", d => this.projectPoint(d.ribbon.points[0].x1, 0)[1])
+            .attr("x2", d => this.projectPoint(d.ribbon.points[d.ribbon.points.length - 1].x0, 0)[0])
+            .attr("y2", d => this.projectPoint(d.ribbon.points[d.ribbon.points.length - 1].x0, 0)[1]);
+
+        gradients
+            .selectAll("stop")
+            .attr("stop-color", (d, i, nodes) => select(nodes[i].parentNode).datum().colors[i]);
+
+        return defs;
+
+    }
+
+    /**
+     * Construct the lines, spans and box of a single stack label.
+     * @param {object} stack - stack object from get data()
+     * @param {string} key - item key in the stack
+     * @returns An object with full text, visible lines, tspan content including any change since previous data, width and height.
+     */
+    generateLabelLayout(stack, key) {
+
+        let value = this.includeValueInLabel ? this.itemPercent(stack, key) : null;
+        let change = this.deltaLayout && this.deltaLayout.item(key) ? this.itemChange(this.deltaLayout.item(key)) : null;
+        let gap = this.artboardUnit * 0.35;
+        let label = this.itemLabel(key);
+        let lines = [label];
+
+        // shorten only when a maximum width is requested
+        if (this.labelMaxWidth) {
+            lines = this.labelOverflow === "wrap" ? this.wrapText(label, this.labelMaxWidth) : [this.truncateText(label, this.labelMaxWidth)];
+        }
+
+        // value and change sit at the end of the last line
+        let ending = [value, change].filter(d => d);
+        let widths = lines.map((d, i) => this.measureText(d) + (i == lines.length - 1 ? sum(ending.map(x => gap + this.measureText(x))) : 0));
+
+        return {
+            height: (this.artboardUnit * this.labelBackgroundHeight) + ((lines.length - 1) * this.artboardUnit * this.labelLineHeight),
+            lines: lines,
+            spans: lines.map(d => ({ text: d, isValue: false })).concat(ending.map(d => ({ text: d, isChange: d === change, isValue: true }))),
+            text: label,
+            width: max(widths) + (this.artboardUnit * 0.4)
+        };
+
+    }
+
+    /**
+     * Position the labels of a stack next to their bars without overlap.
+     * @param {object} stack - stack object from get data()
+     * @param {boolean} isLast - TRUE when labels sit before the bars instead of after them
+     * @param {map} layouts - label layouts by item key from generateLabelLayout()
+     * @returns A map of item key to an object with x, y, hidden state and optional leader line.
+     */
+    generateLabelPositions(stack, isLast, layouts) {
+
+        let result = new Map();
+
+        // label size along the stack and across it
+        let itemSize = layout => this.isHorizontal ? layout.width : layout.height;
+        let crossSize = layout => this.isHorizontal ? layout.height : layout.width;
+
+        // labels too small to read are left out of the layout and only shown on hover
+        let isHidden = x => this.labelMinPercent > 0 && (x[0].data[x.key] / stack.totalValues) * 100 < this.labelMinPercent;
+
+        let items = stack.series.map(x => {
+
+            let [y0, y1] = this.itemExtent(stack, x.key);
+
+            return {
+                center: (y0 + y1) / 2,
+                isHidden: isHidden(x),
+                key: x.key,
+                position: ((y0 + y1) / 2) - (itemSize(layouts.get(x.key)) / 2),
+                size: itemSize(layouts.get(x.key))
+            };
+
+        });
+
+        let positions = this.resolveCollisions(items.filter(d => !d.isHidden), 0, this.stackLength);
+
+        items.forEach(d => {
+
+            let layout = layouts.get(d.key);
+            let position = positions.has(d.key) ? positions.get(d.key) : d.position;
+
+            // moved labels step further out so the leader line is visible
+            let isMoved = Math.abs(position - d.position) > 0.5;
+            let offset = this.paddingStackText + (isMoved ? this.artboardUnit : 0);
+
+            let cross = isLast ? this.stackScale(stack.key) - offset - crossSize(layout) : this.stackScale(stack.key) + this.barWidth + offset;
+            let [x, y] = this.projectPoint(cross, position);
+
+            result.set(d.key, {
+                isHidden: d.isHidden,
+                // leader runs from the bar edge to the label in label coordinates
+                leader: isMoved ? [
+                    this.projectPoint(isLast ? crossSize(layout) + offset : -offset, d.center - position),
+                    this.projectPoint(isLast ? crossSize(layout) : 0, itemSize(layout) / 2)
+                ] : null,
+                x: x,
+                y: y
+            });
+
+        });
+
+        return result;
+
+    }
+
+    /**
+     * Position lanes for connections passing through a stack below its bars.
+     * @param {array} passthroughs - objects with connection and value from generatePassthroughs()
+     * @param {object} stacked - stack layout from generateStackLayout()
+     * @returns An array of objects with connection and the vertical extent of its lane.
+     */
+    generateLaneLayout(passthroughs, stacked) {
+
+        // lanes start one cell padding after the last bar
+        let y = stacked.offset + stacked.scale(stacked.totalValues) + (this.paddingStackCell * stacked.series.length);
+
+        return passthroughs.map(d => {
+
+            let lane = { connection: d.connection, y0: y, y1: y + stacked.scale(d.value) };
+
+            y = lane.y1;
+
+            return lane;
+
+        });
+
+    }
+
+    /**
+     * Find connections that skip over each stack.
+     * @param {object} data - validated stacks and connections
+     * @returns An array with one entry per stack of objects with connection and the value reserved for it.
+     */
+    generatePassthroughs(data) {
+
+        let result = data.stacks.map(() => []);
+        let stackIndexes = new Map();
+        let values = new Map();
+
+        data.stacks.forEach((s, i) => {
+            let key = Object.keys(s)[0];
+            Object.keys(s[key]).forEach(d => {
+                stackIndexes.set(d, i);
+                values.set(d, s[key][d]);
+            });
+        });
+
+        let totals = this.generateConnectionTotals(data.connections);
+
+        data.connections
+            .filter(d => stackIndexes.get(d.target) - stackIndexes.get(d.source) > 1)
+            // keep lanes in source then target order so they do not cross each other
+            .sort((a,b) => stackIndexes.get(a.source) - stackIndexes.get(b.source) || stackIndexes.get(a.target) - stackIndexes.get(b.target))
+            .forEach(d => {
+
+                // connections without a value are as thick as their source item
+                let source = values.get(d.source);
+                let total = totals.source.get(d.source);
+                let value = this.hasValue(d) ? d.value * (total > source ? source / total : 1) : source;
+
+                for (let i = stackIndexes.get(d.source) + 1; i < stackIndexes.get(d.target); i++) {
+                    result[i].push({ connection: d, value: value });
+                }
+
+            });
+
+        return result;
+
+    }
+
+    /**
+     * Construct connections removed since the previous data in HTML DOM.
+     * @param {node} domNode - HTML node
+     * @returns A d3.js selection.
+     */
+    generateRemovedConnections(domNode) {
+
+        const group = domNode
+            .selectAll(".lgv-connections-removed")
+            .data(this.deltaLayout.removed.length > 0 ? [this.deltaLayout.removed] : [])
+            .join(
+                enter => enter.insert("g", ".lgv-stack"),
+                update => update,
+                exit => exit.remove()
+            )
+            .attr("class", "lgv-connections-removed")
+            .attr("aria-hidden", "true")
+            .attr("pointer-events", "none");
+
+        return group
+            .selectAll(".lgv-connection-removed")
+            .data(d => d, d => JSON.stringify([d.source, d.target]))
+            .join(
+                enter => enter.append("path"),
+                update => update,
+                exit => exit.remove()
+            )
+            .attr("class", "lgv-connection-removed")
+            .attr("data-change", "removed")
+            .attr("d", d => this.generateRibbonPath(d));
+
+    }
+
+    /**
+     * Construct ribbon shape from a source through any skipped stacks to a target stack.
+     * @param {object} ribbon - connection object from generateConnectionLayout()
+     * @returns A d3.js path.
+     */
+    generateRibbonPath(ribbon) {
+
+        let curve = this.stackScale.step() * this.curve;
+        let points = ribbon.points;
+
+        // waypoints are x along the stack axis and y along the item axis
+        let point = (x, y) => this.projectPoint(x, y);
+
+        // define connection path
+        let p = path();
+        // source top/left point of entire path shape
+        p.moveTo(...point(points[0].x1, points[0].y0));
+
+        // top edge left to right
+        points.slice(1).forEach((d, i) => {
+
+            let previous = points[i];
+
+            // curve with 2 anchor points across the gap between stacks
+            p.bezierCurveTo(
+                ...point(previous.x1 + curve, previous.y0),
+                ...point(d.x0 - curve, d.y0),
+                ...point(d.x0, d.y0)
+            );
+
+            // straight through a lane in a skipped stack
+            if (d.x1 !== d.x0) p.lineTo(...point(d.x1, d.y0));
+
+        });
+
+        // target straight line down the height of the ribbon
+        p.lineTo(...point(points[points.length - 1].x1, points[points.length - 1].y1));
+
+        // bottom edge right to left
+        points.slice(1).reverse().forEach((d, i) => {
+
+            let previous = points[points.length - 2 - i];
+
+            // straight back through a lane in a skipped stack
+            if (d.x1 !== d.x0) p.lineTo(...point(d.x0, d.y1));
+
+            // curve with 2 anchor points back across the gap between stacks
+            p.bezierCurveTo(
+                ...point(d.x0 - curve, d.y1),
+                ...point(previous.x1 + curve, previous.y1),
+                ...point(previous.x1, previous.y1)
+            );
+
+        });
+
+        // source bottom/left point straight up the height of the ribbon to top/left point of entire path
+        p.closePath();
+
+        return p;
+
+    }
+
+    /**
+     * Construct the set of items and connections on a full path through the selection.
+     * @returns An object with a set of item keys and a set of connection identifiers.
+     */
+    generateSelectionLayout() {
+
+        let keys = new Set();
+        let connections = new Set();
+
+        this.selection.forEach(d => {
+
+            let isConnection = typeof(d) == "object";
+
+            // everything upstream of the start and downstream of the end lies on a full path through the selection
+            let upstream = this.getUpstream(isConnection ? d.source : d);
+            let downstream = this.getDownstream(isConnection ? d.target : d);
+
+            // selected item or connection is always emphasized even when it is not part of a longer path
+            if (isConnection) {
+                keys.add(d.source);
+                keys.add(d.target);
+                connections.add(JSON.stringify([d.source, d.target]));
+            } else {
+                keys.add(d);
+            }
+
+            [upstream, downstream].forEach(reach => {
+                reach.keys.forEach(key => keys.add(key));
+                reach.connections.forEach(c => connections.add(JSON.stringify([c.source, c.target])));
+            });
+
+        });
+
+        return {
+            connections: connections,
+            keys: keys
+        };
+
+    }
+
+    /**
+     * Generate SVG text labels in the HTML DOM.
+     * @param {node} domNode - HTML node
+     * @returns A d3.js selection.
+     */
+    generateStackLabels(domNode) {
+        domNode
+            .each((d, i, nodes) => {
+
+                // measure, truncate and wrap every label in the stack once
+                let layouts = new Map(d.series.map(x => [x.key, this.generateLabelLayout(d, x.key)]));
+
+                // nudge overlapping labels apart
+                let positions = this.generateLabelPositions(d, i == nodes.length - 1, layouts);
+
+                // position a label
+                const geometry = s => s
+                    .attr("transform", x => `translate(${positions.get(x.key).x},${positions.get(x.key).y})`);
+
+                // label container
+                const labels = select(domNode.nodes()[i])
+                    .selectAll(".lgv-label")
+                    .data(d.series, x => x.key)
+                    .join(
+                        enter => this.transitionEnter(enter.append("g").call(geometry)),
+                        update => update,
+                        exit => this.transitionExit(exit)
+                    );
+
+                // tween to new position
+                this.transition(labels)
+                    .style("opacity", null)
+                    .call(geometry);
+
+                labels
+                    .attr("class", "lgv-label")
+                    .attr("data-key", x => x.key)
+                    .classed("hidden", x => positions.get(x.key).isHidden)
+                    .attr("display", x => positions.get(x.key).isHidden ? "none" : null)
+                    .each((x, j, nodes2) => {
+
+                        let g = select(nodes2[j]);
+                        let layout = layouts.get(x.key);
+                        let position = positions.get(x.key);
+
+                        // connect labels moved away from their bar back to it
+                        g.selectAll(".lgv-leader")
+                            .data(position.leader ? [position.leader] : [])
+                            .join(
+                                enter => enter.insert("line", ":first-child"),
+                                update => update,
+                                exit => exit.remove()
+                            )
+                            .attr("class", "lgv-leader")
+                            .attr("x1", z => z[0][0])
+                            .attr("y1", z => z[0][1])
+                            .attr("x2", z => z[1][0])
+                            .attr("y2", z => z[1][1]);
+
+                        // full text stays available when the visible text is shortened
+                        g.selectAll("title")
+                            .data([layout.text])
+                            .join(
+                                enter => enter.append("title"),
+                                update => update,
+                                exit => exit.remove()
+                            )
+                            .text(z => z);
+
+                        // add background for when underlying layer makes text illegible
+                        g.selectAll("rect")
+                            .data(d => [d])
+                            .join(
+                                enter => enter.append("rect"),
+                                update => update,
+                                exit => exit.remove()
+                            )
+                            .attr("x", 0)
+                            .attr("y", 0)
+                            .attr("width", layout.width)
+                            .attr("height", layout.height);
+
+                        // add text
+                        g.selectAll("text")
+                            .data(d => [d])
+                            .join(
+                                enter => enter.append("text"),
+                                update => update,
+                                exit => exit.remove()
+                            )
+                            .attr("x", this.artboardUnit * 0.2)
+                            .attr("y", this.artboardUnit)
+                            .each((z, l, nodes3) => {
+                                select(nodes3[l])
+                                    .selectAll("tspan")
+                                    .data(layout.spans)
+                                    .join(
+                                        enter => enter.append("tspan"),
+                                        update => update,
+                                        exit => exit.remove()
+                                    )
+                                    .attr("class", a => a.isChange ? "lgv-change" : null)
+                                    .attr("data-change", a => a.isChange ? this.deltaLayout.item(x.key).status : null)
+                                    .attr("x", a => a.isValue ? null : this.artboardUnit * 0.2)
+                                    .attr("dx", a => a.isValue ? "0.35em" : null)
+                                    .attr("dy", (a, m) => m == 0 || a.isValue ? null : `${this.labelLineHeight}em`)
+                                    .text(a => a.text);
+                        });
+
+                });
+
+        });
+    }
+
+    /**
+     * Construct label groups for eac stack in HTML DOM.
+     * @param {node} domNode - HTML node
+     * @returns A d3.js selection.
+     */
+    generateStackLabelGroups(domNode) {
+        return domNode
+            .selectAll(".lgv-labels")
+            .data(this.stacks && !this.isCompact ? this.stacks : [], d => d.key)
+            .join(
+                enter => enter.append("g"),
+                update => update,
+                exit => this.transitionExit(exit)
+            )
+            .attr("class", "lgv-labels");
+            //.attr("class", d => `lgv-${d.key}-labels`);
+    }
+
+    /**
+     * Construct stack group in HTML DOM.
+     * @param {node} domNode - HTML node
+     * @returns A d3.js selection.
+     */
+    generateStackGroups(domNode) {
+        return domNode
+            .selectAll(".lgv-stack")
+            .data(this.stacks ? this.stacks : [], d => d.key)
+            .join(
+                enter => enter.append("g"),
+                update => update,
+                exit => this.transitionExit(exit)
+            )
+            .attr("class", "lgv-stack")
+            .attr("role", "group")
+            .attr("aria-label", d => d.key);
+            //.attr("class", d => `lgv-stack-${d.key}`);
+    }
+
+    /**
+     * Find the largest extent of any stack so every stack can share one scale.
+     * @param {object} data - validated stacks and connections
+     * @param {array} passthroughs - arrays of objects with connection and value from generatePassthroughs()
+     * @returns An object with the largest total including passing connections and the largest item count.
+     */
+    generateSharedExtent(data, passthroughs) {
+
+        let stacks = data.stacks.map(s => s[Object.keys(s)[0]]);
+
+        return {
+            count: max(stacks, d => Object.keys(d).length) || 0,
+            total: max(stacks, (d, i) => sum(Object.values(d)) + sum(passthroughs[i].map(x => x.value))) || 0
+        };
+
+    }
+
+    /**
+     * Construct stack layout.
+     * @param {object} data - series data to be stacked
+     * @param {float} reserved - value to leave room for below the stacked bars
+     * @param {array} keys - item keys in stacking order, defaults to sortKeys()
+     * @param {object} shared - largest total and item count across stacks from generateSharedExtent(), NULL to fill the stack length
+     * @returns An object with key/value maps for series, offset, scale, total values.
+     */
+    generateStackLayout(data, reserved=0, keys=null, shared=null) {
+
+        let result = null;
+
+        // check for valid input
+        if (data && Object.keys(data).length > 0) {
+
+            // order keys top to bottom
+            let keysSorted = keys ? keys : this.sortKeys(data);
+
+            // generate stack layout
+            let stackLayout = stack()
+                .keys(keysSorted);
+
+            // generate series of 1
+            const series = stackLayout([data]);
+
+            // calculate total value
+            let dataValues = sum(Object.keys(data).map(d => data[d]));
+
+            // determine how much padding is between stack value blocks
+            let paddingValues = this.paddingStackCell * keysSorted.length;
+
+            // shared stacks measure values against the largest stack so lengths compare across stacks
+            let domainMax = shared ? shared.total : dataValues + reserved;
+            let rangeMax = this.stackLength - (shared ? this.paddingStackCell * shared.count : paddingValues);
+
+            // y scale
+            let yScale = scaleLinear()
+                .domain([0, domainMax])
+                .range([0, rangeMax]);
+
+            // align shorter stacks within the space left over
+            let free = this.stackLength - (yScale(dataValues + reserved) + paddingValues);
+            let offset = shared ? free * ({ bottom: 1, center: 0.5 }[this.align] || 0) : 0;
+
+            result = {
+                offset: offset,
+                series: series,
+                scale: yScale,
+                totalValues: dataValues
+            }
+
+        }
+
+        return result
+
+    }
+
+    /**
+     * Determine the stacking order of items in every stack.
+     * @param {object} data - validated stacks and connections
+     * @returns An array with one array of item keys per stack.
+     */
+    generateStackOrders(data) {
+
+        let stacks = data.stacks.map(s => s[Object.keys(s)[0]]);
+        let result = stacks.map(d => this.sortKeys(d));
+
+        // only the crossing strategy looks beyond a single stack
+        if (this.order !== "crossing" || stacks.length < 2) return result;
+
+        let stackIndexes = new Map();
+        let neighbors = new Map();
+
+        stacks.forEach((d, i) => Object.keys(d).forEach(key => {
+            stackIndexes.set(key, i);
+            neighbors.set(key, []);
+        }));
+
+        data.connections.forEach(d => {
+            neighbors.get(d.source).push(d.target);
+            neighbors.get(d.target).push(d.source);
+        });
+
+        let best = result;
+        let bestCrossings = this.countCrossings(result, data.connections);
+
+        // barycenter sweep alternating left-to-right and right-to-left
+        for (let iteration = 0; iteration < 8 && bestCrossings > 0; iteration++) {
+
+            let forward = iteration % 2 == 0;
+            let indexes = stacks.map((d, i) => i);
+
+            if (!forward) indexes.reverse();
+
+            indexes.slice(1).forEach(i => {
+
+                // relative position of every item so stacks of different length are comparable
+                let positions = new Map();
+
+                result.forEach(keys => keys.forEach((key, j) => positions.set(key, (j + 0.5) / keys.length)));
+
+                let barycenters = new Map(result[i].map(key => {
+
+                    // neighbors in stacks already swept
+                    let swept = neighbors.get(key).filter(d => forward ? stackIndexes.get(d) < i : stackIndexes.get(d) > i);
+
+                    // items without neighbors hold their place
+                    let value = swept.length > 0 ? sum(swept.map(d => positions.get(d))) / swept.length : positions.get(key);
+
+                    return [key, value];
+
+                }));
+
+                result[i] = result[i].slice().sort((a,b) => barycenters.get(a) - barycenters.get(b));
+
+            });
+
+            let crossings = this.countCrossings(result, data.connections);
+
+            if (crossings < bestCrossings) {
+                best = result.map(d => d.slice());
+                bestCrossings = crossings;
+            }
+
+        }
+
+        return best;
+
+    }
+
+    /**
+     * Construct the color legend in HTML DOM after the svg.
+     * @param {node} domNode - HTML node
+     * @returns A d3.js selection.
+     */
+    generateLegend(domNode) {
+
+        const legend = domNode
+            .selectAll(`.${this.name}-legend`)
+            .data(this.colorLayout.legend ? [this.colorLayout.legend] : [])
+            .join(
+                enter => enter.append("div").call(div => div.append("div").attr("class", `${this.name}-legend-title`)).call(div => div.append("ul")),
+                update => update,
+                exit => exit.remove()
+            )
+            .attr("class", d => `${this.name}-legend${d.isSequential ? ` ${this.name}-legend-sequential` : ""}`);
+
+        legend.select(`.${this.name}-legend-title`)
+            .text(d => d.title);
+
+        // sequential legends are a single ramp between the lowest and highest value
+        const entries = legend.select("ul")
+            .selectAll("li")
+            .data(d => d.isSequential ? [d.entries] : d.entries.map(x => [x]))
+            .join(
+                enter => enter.append("li"),
+                update => update,
+                exit => exit.remove()
+            );
+
+        entries
+            .selectAll("span")
+            .data(d => d.length > 1 ? [{ label: d[0].label }, { color: d.map(x => x.color) }, { label: d[d.length - 1].label }] : [{ color: [d[0].color] }, { label: d[0].label }])
+            .join("span")
+            .attr("class", d => d.color ? `${this.name}-legend-swatch` : `${this.name}-legend-label`)
+            .style("background", d => d.color ? (d.color.length > 1 ? `linear-gradient(to right, ${d.color.join(", ")})` : d.color[0]) : null)
+            .style("display", d => d.color ? "inline-block" : null)
+            .style("height", d => d.color ? "1em" : null)
+            .style("width", d => d.color ? (d.color.length > 1 ? "6em" : "1em") : null)
+            .text(d => d.color ? null : d.label);
+
+        return legend;
+
+    }
+
+    /**
+     * Generate visualization.
+     */
+    generateVisualization() {
+
+        // first layout after render() or every layout after it
+        let type = this.artboard ? "update" : "render";
+
+        // font size may have changed since the last render
+        this.textWidths.clear();
+
+        // calculate series
+        this.configureData();
+
+        // generate svg artboard
+        this.artboard = this.generateArtboard(this.container);
+
+        // chart content group
+        const artwork = this.artboard
+            .selectAll(".artwork")
+            .data(d => [d])
+            .join(
+                enter => enter.append("g"),
+                update => update,
+                exit => exit.remove()
+            )
+            .attr("class", "artwork")
+            .attr("transform", d => `translate(0,${this.paddingAnnotations})`);
+
+        // generate chart annotations
+        const annotations = this.generateAnnotations(this.artboard);
+        this.configureAnnotations(annotations);
+
+        // gradients referenced by connections
+        this.generateGradients(this.artboard);
+
+        // generate group for each connection set
+        this.connectionGroup = this.generateConnectionGroups(artwork);
+
+        // generate connections
+        this.generateConnections(this.connectionGroup);
+
+        // connections only in the previous data when comparing
+        this.generateRemovedConnections(artwork);
+
+        // generate group for each stack
+        this.stackGroup = this.generateStackGroups(artwork);
+
+        // generate stack bars
+        this.generateBars(this.stackGroup);
+
+        // generate group for each stack text
+        this.stackLabelGroup = this.generateStackLabelGroups(artwork);
+
+        // generate labels
+        this.generateStackLabels(this.stackLabelGroup);
+
+        // color key when requested
+        this.generateLegend(this.container);
+
+        // canvas layer for bars and connections when requested
+        this.canvasStyles.clear();
+        this.canvasActive = null;
+        this.canvas = this.generateCanvas(this.container);
+        this.configureCanvasEvents();
+
+        // clear selection when clicking empty space
+        this.artboard.on("click.selection", e => {
+            if (e.target === this.artboard.node() && !(this.isCanvas && this.hitCanvas(e))) this.clearSelection();
+        });
+
+        // emphasize focused and selected connections
+        this.configureEmphasis();
+
+        // keyboard entry point
+        this.configureNavigation();
+
+        // built-in tooltip when requested
+        this.configureTooltip();
+
+        // layout is complete
+        this.emit(type, {
+            height: this.height,
+            stacks: this.stacks.map(d => d.key),
+            width: this.width
+        });
+
+    }
+
+    /**
+     * Get every item and connection downstream of an item.
+     * @param {string} key - item key
+     * @returns An object with arrays of item keys and connection objects reachable by following connections forward.
+     */
+    getDownstream(key) {
+        return this.graph.getDownstream(key);
+    }
+
+    /**
+     * Get every item on any full path through an item or connection.
+     * @param {string|object} key - item key or connection object with source/target keys
+     * @returns An array of item keys in stack order.
+     */
+    getPathKeys(key) {
+        return this.graph.getPathKeys(key);
+    }
+
+    /**
+     * Get every full path through an item or connection.
+     * @param {string|object} key - item key or connection object with source/target keys
+     * @param {integer} limit - most paths to return, NULL for all of them
+     * @returns An array of path objects with item keys and connections in order from the first stack they touch to the last.
+     */
+    getPaths(key, limit=null) {
+        return this.graph.getPaths(key, limit);
+    }
+
+    /**
+     * Get the current selection.
+     * @returns An array of selected item keys and connection objects with source/target keys.
+     */
+    getSelection() {
+        return this.selection.map(d => typeof(d) == "object" ? { ...d } : d);
+    }
+
+    /**
+     * Get every item and connection upstream of an item.
+     * @param {string} key - item key
+     * @returns An object with arrays of item keys and connection objects reachable by following connections backward.
+     */
+    getUpstream(key) {
+        return this.graph.getUpstream(key);
+    }
+
+    /**
+     * Determine if a connection carries a value to weight its ribbon.
+     * @param {object} connection - connection object with source/target keys
+     * @returns A boolean where TRUE is a connection with a usable numeric value.
+     */
+    hasValue(connection) {
+        return isValidValue(connection.value);
+    }
+
+    /**
+     * Find the bar or connection drawn to canvas under the pointer.
+     * @param {event} e - pointer event on the svg
+     * @returns An object with type, datum and stack for bars, or null when nothing is under the pointer.
+     */
+    hitCanvas(e) {
+
+        if (!this.canvasLayout) return null;
+
+        // client position into artwork coordinates
+        let box = this.artboard.node().getBoundingClientRect();
+        let x = (e.clientX - box.left) * (box.width ? this.width / box.width : 1);
+        let y = (e.clientY - box.top) * (box.height ? this.height / box.height : 1) - this.paddingAnnotations;
+
+        // topmost first
+        let bar = this.canvasLayout.bars.slice().reverse().find(b => x >= b.rect.x && x <= b.rect.x + b.rect.width && y >= b.rect.y && y <= b.rect.y + b.rect.height);
+
+        if (bar) return { category: bar.category, d: bar.d, type: "bar" };
+
+        let context = this.canvas.node().getContext ? this.canvas.node().getContext("2d") : null;
+
+        if (!context) return null;
+
+        // only ribbons spanning the pointer along the stack axis can contain it
+        let position = this.isHorizontal ? y : x;
+
+        let ribbon = this.canvasLayout.ribbons.slice().reverse().find(r => {
+
+            if (!r.shape || position < r.d.points[0].x1 || position > r.d.points[r.d.points.length - 1].x0) return false;
+
+            // shapes are in artwork coordinates
+            context.save();
+            context.setTransform(1, 0, 0, 1, 0, 0);
+            let isHit = context.isPointInPath(r.shape, x, y);
+            context.restore();
+
+            return isHit;
+
+        });
+
+        return ribbon ? { d: ribbon.d, type: "connection" } : null;
+
+    }
+
+    /**
+     * Determine if an item or connection is in the data being drawn.
+     * @param {string|object} key - item key or connection object with source/target keys
+     * @returns A boolean where TRUE is a key or connection the graph contains.
+     */
+    isSelectable(key) {
+
+        if (!this.graph) return false;
+
+        if (key && typeof(key) == "object") {
+            return this.graph.nodes.has(key.source) && this.graph.nodes.get(key.source).outgoing.some(c => c.target === key.target);
+        }
+
+        return this.graph.nodes.has(key);
+
+    }
+
+    /**
+     * Determine if an item or connection is selected.
+     * @param {string|object} key - item key or connection object with source/target keys
+     * @returns A boolean where TRUE is a selected item or connection.
+     */
+    isSelected(key) {
+        return this.selection.some(d => this.selectionKey(d) === this.selectionKey(key));
+    }
+
+    /**
+     * Format the change of an item since the previous data.
+     * @param {object} change - item change from diffData()
+     * @returns A string with the signed change in value and in share of the stack, or new for an added item.
+     */
+    itemChange(change) {
+
+        if (change.status === "added") return "new";
+
+        let sign = x => x > 0 ? "+" : x < 0 ? "-" : "±";
+        let value = Math.abs(change.delta);
+        let share = Math.abs(change.share.delta).toFixed(2);
+
+        return `${sign(change.delta)}${Number.isInteger(value) ? value : value.toFixed(2)} (${sign(change.share.delta)}${share} pt)`;
+
+    }
+
+    /**
+     * Calculate the vertical extent of a single item in a stack.
+     * @param {object} stack - stack object from get data()
+     * @param {string} key - item key in the stack
+     * @returns An array of the top and bottom position of the item bar.
+     */
+    itemExtent(stack, key) {
+
+        let layout = stack.series.filter(d => d.key === key)[0];
+        let offset = (stack.offset || 0) + this.paddingStackCell * layout.index;
+
+        return [
+            stack.scale(layout[0][0]) + offset,
+            stack.scale(layout[0][1]) + offset
+        ];
+
+    }
+
+    /**
+     * Get the text shown for an item.
+     * @param {string} key - item key
+     * @returns A string which is the Other label for Other items and the key for everything else.
+     */
+    itemLabel(key) {
+        return this.others.has(key) ? this.others.get(key).label : key;
+    }
+
+    /**
+     * Format the share of a stack total an item represents.
+     * @param {object} stack - stack object from get data()
+     * @param {string} key - item key in the stack
+     * @returns A string percentage.
+     */
+    itemPercent(stack, key) {
+
+        let layout = stack.series.filter(d => d.key === key)[0];
+
+        return `${((layout[0].data[key] / stack.totalValues) * 100).toFixed(2)}%`;
+
+    }
+
+    /**
+     * Measure the rendered width of label text.
+     * @param {string} text - text to measure
+     * @returns A float width in artboard units, estimated with characterWidth() when no layout engine is available.
+     */
+    measureText(text) {
+
+        if (this.textWidths.has(text)) return this.textWidths.get(text);
+
+        let result = null;
+
+        if (this.artboard) {
+
+            // hidden label inherits the same css as visible labels
+            let scaffold = this.artboard
+                .append("g")
+                .attr("class", "lgv-measure")
+                .attr("aria-hidden", "true")
+                .attr("visibility", "hidden");
+
+            let node = scaffold
+                .append("g")
+                .attr("class", "lgv-label")
+                .append("text")
+                .text(text)
+                .node();
+
+            // environments without layout such as jsdom either lack the api or report 0
+            if (typeof(node.getComputedTextLength) == "function") {
+                let length = node.getComputedTextLength();
+                if (length > 0 || text.length == 0) result = length;
+            }
+
+            // selectors for visible labels must not match the scaffold
+            scaffold.remove();
+
+        }
+
+        if (result === null) result = this.characterWidth(text, this.artboardUnit);
+
+        this.textWidths.set(text, result);
+
+        return result;
+
+    }
+
+    /**
+     * Move keyboard focus in response to a key press on a bar or connection.
+     * @param {event} e - keyboard event
+     * @param {string|object} key - item key or connection object with source/target keys
+     */
+    navigate(e, key) {
+
+        let isConnection = typeof(key) == "object";
+        let nodes = this.navigationNodes();
+        let target = null;
+
+        // a shape fading out keeps focus until it is removed but has nothing left to act on
+        if (!nodes.some(d => d.id === this.selectionKey(key))) return;
+
+        // Enter and Space behave like a click
+        if (e.key === "Enter" || e.key === " ") {
+            e.preventDefault();
+            isConnection ? this.clickConnection(e, this.ribbons.find(d => d.source === key.source && d.target === key.target)) : this.clickBar(e, key);
+            return;
+        }
+
+        let bars = nodes.filter(d => d.type === "bar");
+        let connections = nodes.filter(d => d.type === "connection");
+
+        // rows move within a stack left/right and across stacks up/down
+        let direction = this.isHorizontal ? { ArrowDown: "ArrowRight", ArrowLeft: "ArrowUp", ArrowRight: "ArrowDown", ArrowUp: "ArrowLeft" }[e.key] || e.key : e.key;
+
+        if (isConnection) {
+
+            let siblings = connections.filter(d => d.datum.source === key.source);
+            let index = siblings.findIndex(d => d.id === this.selectionKey(key));
+
+            switch (direction) {
+                case "ArrowUp":
+                    target = siblings[index - 1];
+                    break;
+                case "ArrowDown":
+                    target = siblings[index + 1];
+                    break;
+                case "ArrowLeft":
+                    target = bars.find(d => d.datum.key === key.source);
+                    break;
+                case "ArrowRight":
+                    target = bars.find(d => d.datum.key === key.target);
+                    break;
+            }
+
+        } else {
+
+            let stackIndex = this.stacks.findIndex(d => d.series.some(x => x.key === key));
+            let siblings = bars.filter(d => d.stackIndex === stackIndex);
+            let index = siblings.findIndex(d => d.datum.key === key);
+
+            // nearest item in an adjacent stack when there is no connection to follow
+            let adjacent = offset => {
+                let items = bars.filter(d => d.stackIndex === stackIndex + offset);
+                return items[Math.min(index, items.length - 1)];
+            };
+
+            switch (direction) {
+                case "ArrowUp":
+                    target = siblings[index - 1];
+                    break;
+                case "ArrowDown":
+                    target = siblings[index + 1];
+                    break;
+                case "ArrowLeft":
+                    target = connections.find(d => d.datum.target === key) || adjacent(-1);
+                    break;
+                case "ArrowRight":
+                    target = connections.find(d => d.datum.source === key) || adjacent(1);
+                    break;
+            }
+
+        }
+
+        if (target) {
+
+            e.preventDefault();
+
+            // update self
+            this.navigationKey = target.id;
+
+            this.configureNavigation();
+            target.node.focus();
+
+        }
+
+    }
+
+    /**
+     * Collect bars and connections that can receive keyboard focus in visual order.
+     * @returns An array of objects with the DOM node, datum, type and identifier of each focusable shape.
+     */
+    navigationNodes() {
+
+        let result = [];
+
+        // shapes still fading out after an update are no longer part of the chart
+        let keys = new Set((this.stacks || []).flatMap(d => d.series.map(x => this.selectionKey(x.key))));
+        let ribbons = new Set((this.ribbons || []).map(d => this.selectionKey(d)));
+
+        if (this.stackGroup) {
+            this.stackGroup.each((category, i, groups) => {
+                select(groups[i]).selectAll(".lgv-bar").each((d, j, bars) => {
+                    if (keys.has(this.selectionKey(d.key))) result.push({ datum: d, id: this.selectionKey(d.key), node: bars[j], stackIndex: i, type: "bar" });
+                });
+            });
+        }
+
+        if (this.connectionGroup) {
+            this.connectionGroup.selectAll(".lgv-connection").each((d, j, connections) => {
+                if (ribbons.has(this.selectionKey(d))) result.push({ datum: d, id: this.selectionKey(d), node: connections[j], type: "connection" });
+            });
+        }
+
+        // emphasis raises nodes so dom order cannot be trusted for top-to-bottom movement
+        return result.sort((a,b) => {
+            if (a.type !== b.type) return a.type === "bar" ? -1 : 1;
+            return a.type === "bar" ? a.stackIndex - b.stackIndex || a.datum.index - b.datum.index : a.datum.sourceY0 - b.datum.sourceY0 || a.datum.targetY0 - b.datum.targetY0;
+        });
+
+    }
+
+    /**
+     * Stop calling an event handler.
+     * @param {string} type - event name as listed in the README
+     * @param {function} handler - function passed to on(), NULL for every handler of the event
+     * @returns The StackedConnections instance.
+     */
+    off(type, handler=null) {
+
+        let handlers = (this.listeners.get(type) || []).filter(d => handler !== null && d !== handler);
+
+        handlers.length > 0 ? this.listeners.set(type, handlers) : this.listeners.delete(type);
+
+        return this;
+
+    }
+
+    /**
+     * Call a handler whenever an event happens.
+     * @param {string} type - event name as listed in the README
+     * @param {function} handler - function receiving an object with type, detail and chart
+     * @returns The StackedConnections instance.
+     */
+    on(type, handler) {
+
+        if (typeof(handler) != "function") throw new TypeError(`${this.name}: handler for ${type} must be a function`);
+
+        this.listeners.set(type, (this.listeners.get(type) || []).concat([handler]));
+
+        return this;
+
+    }
+
+    /**
+     * Stop playing frames.
+     * @returns The StackedConnections instance.
+     */
+    pause() {
+
+        clearTimeout(this.playTimer);
+
+        // update self
+        this.playTimer = null;
+
+        return this;
+
+    }
+
+    /**
+     * Step through the frames, each shown for the frame duration while geometry moves to the next.
+     * @returns The StackedConnections instance.
+     */
+    play() {
+
+        if (this.playTimer !== null || this.frames.length < 2) return this;
+
+        // start over when already at the end
+        if (this.frameIndex === this.frames.length - 1 && !this.frameLoop) this.setFrame(0, 0);
+
+        const step = () => {
+
+            let next = this.frameIndex === null ? 0 : (this.frameIndex + 1) % this.frames.length;
+
+            // update self
+            this.playTimer = next == this.frames.length - 1 && !this.frameLoop ? null : setTimeout(step, this.frameDuration);
+
+            this.setFrame(next, this.frameDuration);
+
+        };
+
+        // update self
+        this.playTimer = setTimeout(step, this.frameDuration);
+
+        return this;
+
+    }
+
+    /**
+     * Map a position along the stack and item axes onto the artboard.
+     * @param {float} stackPosition - position across stacks
+     * @param {float} itemPosition - position along a stack
+     * @returns An array of x, y artboard coordinates.
+     */
+    projectPoint(stackPosition, itemPosition) {
+        return this.isHorizontal ? [itemPosition, stackPosition] : [stackPosition, itemPosition];
+    }
+
+    /**
+     * Map a box along the stack and item axes onto the artboard.
+     * @param {float} stackPosition - start across stacks
+     * @param {float} itemPosition - start along a stack
+     * @param {float} stackSize - size across stacks
+     * @param {float} itemSize - size along a stack
+     * @returns An object with x, y, width and height in artboard coordinates.
+     */
+    projectRect(stackPosition, itemPosition, stackSize, itemSize) {
+
+        let [x, y] = this.projectPoint(stackPosition, itemPosition);
+        let [width, height] = this.projectPoint(stackSize, itemSize);
+
+        return { height: height, width: width, x: x, y: y };
+
+    }
+
+    /**
+     * Render visualization.
+     * @param {node} domNode - HTML node
+     */
+    render(domNode) {
+
+        // update self
+        this.container = select(domNode);
+
+        // generate visualization
+        this.generateVisualization();
+
+        // follow the container when responsive
+        this.configureResponsive();
+
+    }
+
+    /**
+     * Lay out again for a new container size and font size.
+     * @param {float} width - container width, 0 keeps the current width
+     * @param {float} height - container height, 0 keeps the current height
+     * @returns The StackedConnections instance.
+     */
+    resize(width, height) {
+
+        let node = this.container ? this.container.node() : null;
+        let unit = node ? parseFloat(node.ownerDocument.defaultView.getComputedStyle(node).fontSize) || this.artboardUnit : this.artboardUnit;
+        let isUnitChanged = unit !== this.artboardUnit;
+
+        // update self
+        this.artboardUnit = unit;
+
+        // annotation space follows the font unless set
+        if (isUnitChanged && this.options.paddingAnnotations === null) this.paddingAnnotations = unit * 2;
+
+        let changed = this.configureOptions({
+            height: height > 0 ? Math.round(height) : this.height,
+            width: width > 0 ? Math.round(width) : this.width
+        });
+
+        // preloaded frames are laid out again when shown
+        if (changed.length > 0 || isUnitChanged) this.frameLayouts.clear();
+
+        if (this.artboard && (changed.length > 0 || isUnitChanged)) this.generateVisualization();
+
+        return this;
+
+    }
+
+    /**
+     * Spread boxes along one axis so none overlap while staying as close as possible to where they want to be.
+     * @param {array} items - objects with key, position (desired start) and size
+     * @param {float} min - smallest allowed start
+     * @param {float} max - largest allowed end
+     * @returns A map of key to resolved start position.
+     */
+    resolveCollisions(items, min, max) {
+
+        let sorted = items.slice().sort((a,b) => a.position - b.position);
+        let positions = sorted.map(d => d.position);
+
+        // push down anything overlapping the box before it
+        sorted.forEach((d, i) => {
+            let floor = i == 0 ? min : positions[i - 1] + sorted[i - 1].size;
+            positions[i] = Math.max(positions[i], floor);
+        });
+
+        // then pull back up anything pushed past the end
+        for (let i = sorted.length - 1; i >= 0; i--) {
+            let ceiling = i == sorted.length - 1 ? max : positions[i + 1];
+            positions[i] = Math.max(Math.min(positions[i], ceiling - sorted[i].size), min);
+        }
+
+        return new Map(sorted.map((d, i) => [d.key, positions[i]]));
+
+    }
+
+    /**
+     * Show or hide a label hidden for being below the minimum size.
+     * @param {string} key - item key
+     * @param {boolean} isRevealed - TRUE will show the label
+     */
+    revealLabel(key, isRevealed) {
+
+        if (!this.stackLabelGroup) return;
+
+        this.stackLabelGroup
+            .selectAll(".lgv-label.hidden")
+            .filter(d => d.key === key)
+            .classed("revealed", isRevealed)
+            .attr("display", isRevealed ? null : "none")
+            .raise();
+
+    }
+
+    /**
+     * Show the last frame at or before a time.
+     * @param {date|number|string} time - time to move to
+     * @param {integer} duration - milliseconds to move geometry to the frame
+     * @returns The StackedConnections instance.
+     */
+    seek(time, duration=this.transitionDuration) {
+
+        let value = this.frameTime(time);
+
+        return this.setFrame(this.frames.reduce((a, d, i) => this.frameTime(d.time) <= value ? i : a, 0), duration);
+
+    }
+
+    /**
+     * Add an item or connection to the selection.
+     * @param {string|object} key - item key or connection object with source/target keys
+     * @param {boolean} additive - TRUE will keep the existing selection
+     * @returns The StackedConnections instance.
+     */
+    select(key, additive=false) {
+
+        let entry = key && typeof(key) == "object" ? { source: key.source, target: key.target } : key;
+
+        if (!this.isSelectable(entry)) {
+
+            let errors = [{ type: "unknown-selection", key: entry, message: `${JSON.stringify(entry)} is not an item or connection in the data` }];
+
+            // strict mode refuses what cannot be drawn as selected
+            if (this.strict) throw new ValidationError(errors, "stacked connections selection");
+
+            console.warn(`${this.name}: ignored selection`, errors);
+
+            return this;
+
+        }
+
+        // update self
+        this.selection = additive ? this.selection.filter(d => this.selectionKey(d) !== this.selectionKey(entry)).concat([entry]) : [entry];
+
+        this.configureSelection();
+
+        return this;
+
+    }
+
+    /**
+     * Describe the selection for event consumers.
+     * @returns An object with selection and paths listed only when read.
+     */
+    selectionDetail() {
+
+        let graph = this.graph;
+        let selection = this.getSelection();
+
+        return {
+            get paths() {
+                let paths = new Map();
+                selection.forEach(d => graph.getPaths(d).forEach(p => paths.set(JSON.stringify(p.keys), p)));
+                return [...paths.values()];
+            },
+            selection: selection
+        };
+
     }
 
     /**
-     * Construct stack group in HTML DOM.
-     * @param {node} domNode - HTML node
-     * @returns A d3.js selection.
+     * Construct a comparable identifier for a selection entry.
+     * @param {string|object} key - item key or connection object with source/target keys
+     * @returns A string identifier.
      */
-    generateStackGroups(domNode) {
-        return domNode
-            .selectAll(".lgv-stack")
-            .data(this.stacks ? this.stacks : [])
-            .join(
-                enter => enter.append("g"),
-                update => update,
-                exit => exit.remove()
-            )
-            .attr("class", "lgv-stack");
-            //.attr("class", d => `lgv-stack-${d.key}`);
+    selectionKey(key) {
+        return JSON.stringify(typeof(key) == "object" ? [key.source, key.target] : key);
     }
 
     /**
-     * Construct stack layout.
-     * @param {object} data - series data to be stacked
-     * @returns An object with key/value maps for series, scale, total values.
+     * Change the space between stacks.
+     * @param {float} padding - fraction of each stack step left empty between bars, from 0 to 1
+     * @returns The StackedConnections instance.
      */
-    generateStackLayout(data) {
+    setBandPadding(padding=configurationOptions.bandPadding) {
+        return this.setOptions({ bandPadding: padding });
+    }
 
-        let result = null;
+    /**
+     * Encode stacks, items, connection focus or value as fill color.
+     * @param {object|function} color - options with by (stack, item, focus, value or a function receiving a bar or connection datum), scale (categorical, sequential, an array of colors or a function), connections (source, target, gradient or self) and legend, or a function used as by
+     * @returns The StackedConnections instance.
+     */
+    setColor(color=null) {
+        return this.setOptions({ color: color });
+    }
 
-        // check for valid input
-        if (data && Object.keys(data).length > 0) {
+    /**
+     * Change how far connection curves bend between stacks.
+     * @param {float} curve - control point distance as a fraction of the stack step, from 0 to 1
+     * @returns The StackedConnections instance.
+     */
+    setCurve(curve=configurationOptions.curve) {
+        return this.setOptions({ curve: curve });
+    }
 
-            // sort keys by decreasing value order then alpha
-            let keysSorted = Object.keys(data)
-                .map(d => ({ key: d, value: data[d] }))
-                .sort((a,b) => b.value - a.value || a.key.localeCompare(b.key))
-                .map(d => d.key);
+    /**
+     * Switch the active focus label.
+     * @param {string|boolean} label - focus label to emphasize, TRUE for any tagged connection, NULL to clear
+     * @returns The StackedConnections instance.
+     */
+    setFocus(label=null) {
 
-            // generate stack layout
-            let stackLayout = stack()
-                .keys(keysSorted);
+        // update self
+        this.focus = label;
 
-            // generate series of 1
-            const series = stackLayout([data]);
+        // restyle without regenerating geometry when already rendered
+        if (this.artboard) this.configureEmphasis();
 
-            // calculate total value
-            let dataValues = sum(Object.keys(data).map(d => data[d]));
+        return this;
 
-            // determine how much padding is between stack value blocks
-            let paddingValues = this.paddingStackCell * keysSorted.length;
+    }
 
-            // y scale
-            let yScale = scaleLinear()
-                .domain([0, dataValues])
-                .range([0, (this.height - paddingValues - this.paddingAnnotations)]);
+    /**
+     * Show a single frame.
+     * @param {integer} index - position in the frames from setFrames(), clamped to the first and last frame
+     * @param {integer} duration - milliseconds to move geometry to the frame
+     * @returns The StackedConnections instance.
+     */
+    setFrame(index, duration=this.transitionDuration) {
 
-            result = {
-                series: series,
-                scale: yScale,
-                totalValues: dataValues
-            }
+        if (this.frames.length == 0) return this;
+
+        this.configureFrame(Math.max(0, Math.min(this.frames.length - 1, Math.round(index))));
+
+        if (this.artboard) {
+
+            // interpolate over the requested time instead of the transition option
+            let transitionDuration = this.transitionDuration;
+
+            this.transitionDuration = duration;
+            this.generateVisualization();
+            this.transitionDuration = transitionDuration;
 
         }
 
-        return result
+        this.emit("framechange", this.frameDetail());
+
+        return this;
 
     }
 
     /**
-     * Generate visualization.
+     * Replace the data with snapshots over time and show one of them.
+     * @param {array} frames - objects with a time and data as described in the README, in time order, empty to stop playback
+     * @param {integer} index - frame to show
+     * @returns The StackedConnections instance.
      */
-    generateVisualization() {
+    setFrames(frames=[], index=0) {
 
-        // calculate series
-        this.configureData();
+        let errors = [];
 
-        // generate svg artboard
-        this.artboard = this.generateArtboard(this.container);
+        let result = (frames || []).map((d, i) => {
 
-        // chart content group
-        const artwork = this.artboard
-            .selectAll(".artwork")
-            .data(d => [d])
-            .join(
-                enter => enter.append("g"),
-                update => update,
-                exit => exit.remove()
-            )
-            .attr("class", "artwork")
-            .attr("transform", d => `translate(0,${this.paddingAnnotations})`);
+            let validated = this.validate(d ? d.data : null);
 
-        // generate chart annotations
-        const annotations = this.generateAnnotations(this.artboard);
-        this.configureAnnotations(annotations);
+            validated.errors.forEach(e => errors.push({ ...e, frame: i, message: `frame ${i}: ${e.message}` }));
 
-        // generate group for each connection set
-        this.connectionGroup = this.generateConnectionGroups(artwork);
+            return { data: validated.data, source: d ? d.data : null, time: d ? d.time : null };
 
-        // generate connections
-        this.generateConnections(this.connectionGroup);
+        });
 
-        // generate group for each stack
-        this.stackGroup = this.generateStackGroups(artwork);
+        if (errors.length > 0) {
 
-        // generate stack bars
-        this.generateBars(this.stackGroup);
+            // strict mode refuses to play anything from bad data
+            if (this.strict) throw new ValidationError(errors);
 
-        // generate group for each stack text
-        this.stackLabelGroup = this.generateStackLabelGroups(artwork);
+            console.warn(`${this.name}: skipped ${errors.length} invalid record${errors.length == 1 ? "" : "s"} in frames`, errors);
 
-        // generate labels
-        this.generateStackLabels(this.stackLabelGroup);
+        }
+
+        this.pause();
+
+        // update self
+        this.frameIndex = null;
+        this.frameLayouts = new Map();
+        this.frameOrders = result.length > 0 ? this.generateFrameOrders(result) : null;
+        this.frames = result;
+
+        // lay out every frame up front so stepping only draws
+        this.frames.forEach((d, i) => {
+            this.configureFrame(i);
+            this.configureData();
+        });
+
+        return this.setFrame(index, 0);
 
     }
 
     /**
-     * Render visualization.
-     * @param {node} domNode - HTML node
+     * Change the height of a single line label background.
+     * @param {float} height - height in artboard units
+     * @returns The StackedConnections instance.
      */
-    render(domNode) {
+    setLabelBackgroundHeight(height=configurationOptions.labelBackgroundHeight) {
+        return this.setOptions({ labelBackgroundHeight: height });
+    }
+
+    /**
+     * Change any options and lay out again when already rendered.
+     * @param {object} options - option values as described in the README
+     * @returns The StackedConnections instance.
+     */
+    setOptions(options) {
+
+        let changed = this.configureOptions(options);
+
+        // transitions only apply to the next update
+        let isLayout = changed.some(key => !["frameDuration", "frameLoop", "transitionDuration", "transitionEase"].includes(key));
+
+        // preloaded frames are laid out again when shown
+        if (isLayout) this.frameLayouts.clear();
+        if (changed.includes("order") && this.frames.length > 0) this.frameOrders = this.generateFrameOrders(this.frames);
+
+        // fold again when the rules change
+        if (this.dataUnfolded && changed.some(key => ["otherLabel", "otherLimit", "otherMinPercent", "otherMinValue"].includes(key))) this.configureFolding();
+
+        if (this.artboard && isLayout) this.generateVisualization();
+
+        // watch or stop watching the container
+        if (changed.includes("responsive")) this.configureResponsive();
+
+        return this;
+
+    }
+
+    /**
+     * Switch the strategy used to order items within each stack.
+     * @param {string|function|array} order - value, input, crossing, a comparator of {key, value} objects or an explicit list of keys
+     * @returns The StackedConnections instance.
+     */
+    setOrder(order=configurationOptions.order) {
+        return this.setOptions({ order: order });
+    }
+
+    /**
+     * Switch between stacks as columns and stacks as rows.
+     * @param {string} orientation - vertical for columns with connections left to right, horizontal for rows with connections top to bottom
+     * @returns The StackedConnections instance.
+     */
+    setOrientation(orientation=configurationOptions.orientation) {
+        return this.setOptions({ orientation: orientation });
+    }
+
+    /**
+     * Change the space above the stacks for annotations.
+     * @param {float} padding - space in artboard units, NULL for two lines of text
+     * @returns The StackedConnections instance.
+     */
+    setPaddingAnnotations(padding=configurationOptions.paddingAnnotations) {
+        return this.setOptions({ paddingAnnotations: padding });
+    }
+
+    /**
+     * Switch between drawing bars and connections as svg nodes or to a canvas.
+     * @param {string} renderer - svg or canvas, labels and annotations stay svg either way
+     * @returns The StackedConnections instance.
+     */
+    setRenderer(renderer=configurationOptions.renderer) {
+        return this.setOptions({ renderer: renderer });
+    }
+
+    /**
+     * Start or stop following the size of the container.
+     * @param {boolean|string} enabled - TRUE or width will lay out again whenever the container width changes, both will follow its height too
+     * @returns The StackedConnections instance.
+     */
+    setResponsive(enabled=true) {
+        return this.setOptions({ responsive: enabled });
+    }
+
+    /**
+     * Change whether stacks fill their length or share one value scale.
+     * @param {string} scale - independent or shared
+     * @param {string} align - top, center or bottom position of shorter stacks when shared
+     * @returns The StackedConnections instance.
+     */
+    setScale(scale=configurationOptions.scale, align=this.align) {
+        return this.setOptions({ align: align, scale: scale });
+    }
+
+    /**
+     * Show or hide the built-in tooltip for bars and connections.
+     * @param {boolean} enabled - TRUE will show a tooltip on hover and keyboard focus
+     * @param {function} template - function receiving a tooltip datum and returning an HTML string
+     * @returns The StackedConnections instance.
+     */
+    setTooltip(enabled=true, template=null) {
 
         // update self
-        this.container = select(domNode);
+        this.tooltipEnabled = enabled;
+        this.tooltipTemplate = template;
 
-        // generate visualization
-        this.generateVisualization();
+        if (this.artboard) this.configureTooltip();
+
+        return this;
+
+    }
+
+    /**
+     * Configure animation of render updates.
+     * @param {integer} duration - milliseconds for each transition, 0 disables transitions
+     * @param {function} ease - d3.js easing function
+     * @returns The StackedConnections instance.
+     */
+    setTransition(duration=configurationOptions.transitionDuration, ease=easeCubicInOut) {
+        return this.setOptions({ transitionDuration: duration, transitionEase: ease });
+    }
+
+    /**
+     * Order the keys of a single stack using the active order strategy.
+     * @param {object} data - key/value map of items in a stack
+     * @returns An array of item keys top to bottom.
+     */
+    sortKeys(data) {
+
+        let items = Object.keys(data).map(d => ({ key: d, value: data[d] }));
+
+        // decreasing value order then alpha
+        let byValue = (a,b) => b.value - a.value || a.key.localeCompare(b.key);
+
+        if (typeof(this.order) == "function") {
+            items.sort(this.order);
+        } else if (Array.isArray(this.order)) {
+
+            // listed keys first in list order, anything unlisted after by value
+            let rank = new Map(this.order.map((d, i) => [d, i]));
+
+            items.sort((a,b) => (rank.has(a.key) ? rank.get(a.key) : Infinity) - (rank.has(b.key) ? rank.get(b.key) : Infinity) || byValue(a,b));
+
+        } else if (this.order !== "input") {
+            items.sort(byValue);
+        }
+
+        // Other items always come last
+        return items.filter(d => !this.others.has(d.key)).concat(items.filter(d => this.others.has(d.key))).map(d => d.key);
+
+    }
+
+    /**
+     * Select or deselect an item or connection the way a click would.
+     * @param {string|object} key - item key or connection object with source/target keys
+     * @param {boolean} additive - TRUE will add or remove from the existing selection
+     * @returns The StackedConnections instance.
+     */
+    toggleSelection(key, additive=false) {
+
+        // clicking the only selected entry or a selected entry with a modifier removes it
+        if (this.isSelected(key) && (additive || this.selection.length == 1)) {
+            this.selection = this.selection.filter(d => this.selectionKey(d) !== this.selectionKey(key));
+            this.configureSelection();
+            return this;
+        }
+
+        return this.select(key, additive);
+
+    }
+
+    /**
+     * Render visualization to a standalone svg document.
+     * @param {document} doc - DOM document to build with, e.g. new JSDOM().window.document where there is no browser
+     * @returns A string of svg markup with sizing, fonts and default styles inlined.
+     */
+    toSVGString(doc=typeof document === "undefined" ? null : document) {
+
+        if (!doc) throw new Error("toSVGString requires a DOM document, e.g. new JSDOM().window.document");
+
+        let view = doc.defaultView;
+
+        // render a detached copy so a live chart and its transitions are left alone
+        let copy = Object.assign(Object.create(Object.getPrototypeOf(this)), this, {
+            artboard: null,
+            canvas: null,
+            container: select(doc.createElement("div")),
+            isStatic: true,
+            listeners: new Map(),
+            renderer: "svg",
+            textWidths: new Map(),
+            tooltip: null,
+            tooltipEnabled: false,
+            transitionDuration: 0
+        });
+
+        copy.generateVisualization();
+
+        // an image has nothing to focus, press or expand
+        copy.artboard.selectAll("[role='button']").attr("role", null);
+        copy.artboard.selectAll("[tabindex], [aria-pressed], [aria-expanded]")
+            .attr("tabindex", null)
+            .attr("aria-pressed", null)
+            .attr("aria-expanded", null);
+
+        // use the font of the page when rendered in one
+        let pageFont = this.container && view && view.getComputedStyle ? view.getComputedStyle(this.container.node()).fontFamily : null;
+
+        let svg = copy.artboard
+            .attr("width", this.width)
+            .attr("height", this.height)
+            .attr("font-family", pageFont ? pageFont : configurationStyle.fontFamily)
+            .attr("font-size", `${this.artboardUnit}px`)
+            .node();
+
+        svg.setAttributeNS("http://www.w3.org/2000/xmlns/", "xmlns", "http://www.w3.org/2000/svg");
+
+        // default styles follow the accessible name and description
+        let style = doc.createElementNS("http://www.w3.org/2000/svg", "style");
+        style.textContent = generateStylesheet(this.name);
+        svg.insertBefore(style, svg.querySelector(".lgv-description").nextSibling);
+
+        return view && view.XMLSerializer ? new view.XMLSerializer().serializeToString(svg) : svg.outerHTML;
+
+    }
+
+    /**
+     * Describe a bar for the tooltip.
+     * @param {object} d - series datum of the bar
+     * @param {object} category - stack object from get data()
+     * @returns An object with type, stack, item, label, value, percent, the first paths as arrays of item keys, the count of all paths and folded item keys.
+     */
+    tooltipBar(d, category) {
+        return {
+            folded: this.others.has(d.key) ? this.others.get(d.key).keys : [],
+            item: d.key,
+            label: this.itemLabel(d.key),
+            pathCount: this.countPaths(d.key),
+            paths: this.getPaths(d.key, tooltipPathLimit).map(x => x.keys),
+            percent: this.itemPercent(category, d.key),
+            stack: category.key,
+            type: "bar",
+            value: d[0].data[d.key]
+        };
+    }
+
+    /**
+     * Describe a connection for the tooltip.
+     * @param {object} d - ribbon datum of the connection
+     * @returns An object with type, source, target, their stacks, value, the first paths as arrays of item keys and the count of all paths.
+     */
+    tooltipConnection(d) {
+        return {
+            pathCount: this.countPaths({ source: d.source, target: d.target }),
+            paths: this.getPaths({ source: d.source, target: d.target }, tooltipPathLimit).map(x => x.keys),
+            source: d.source,
+            sourceStack: d.sourceStack.key,
+            target: d.target,
+            targetStack: d.targetStack.key,
+            type: "connection",
+            value: this.hasValue(d) ? d.value : null
+        };
+    }
+
+    /**
+     * Construct transition for a selection.
+     * @param {selection} selection - d3.js selection
+     * @returns A d3.js transition or the selection itself when transitions are disabled.
+     */
+    transition(selection) {
+
+        // stop anything still running from a previous render so updates can be called in quick succession
+        selection.interrupt();
+
+        return this.transitionDuration > 0 ? selection.transition().duration(this.transitionDuration).ease(this.transitionEase) : selection;
+
+    }
+
+    /**
+     * Prepare entering nodes to fade in.
+     * @param {selection} selection - d3.js enter selection
+     * @returns A d3.js selection.
+     */
+    transitionEnter(selection) {
+        return selection.style("opacity", this.transitionDuration > 0 ? 0 : null);
+    }
+
+    /**
+     * Fade out and remove exiting nodes.
+     * @param {selection} selection - d3.js exit selection
+     * @returns A d3.js transition or selection.
+     */
+    transitionExit(selection) {
+
+        // fading shapes leave the tab order right away
+        selection.attr("tabindex", null);
+
+        return this.transition(selection)
+            .style("opacity", 0)
+            .remove();
+
+    }
+
+    /**
+     * Shorten text with an ellipsis to fit a width.
+     * @param {string} text - text to shorten
+     * @param {float} width - maximum width in artboard units
+     * @returns A string that fits the width.
+     */
+    truncateText(text, width) {
+
+        if (this.measureText(text) <= width) return text;
+
+        let characters = [...text];
+        let low = 0;
+        let high = characters.length;
+
+        // longest prefix that still fits with the ellipsis
+        while (low < high) {
+            let mid = Math.ceil((low + high) / 2);
+            if (this.measureText(`${characters.slice(0, mid).join("").trimEnd()}\u2026`) <= width) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return `${characters.slice(0, low).join("").trimEnd()}\u2026`;
 
     }
 
     /**
      * Update visualization.
      * @param {object} data - key/values where each key is a series label and corresponding value is an array of values
-     * @param {integer} height - height of artboard
-     * @param {integer} width - width of artboard
+     * @param {integer} width - width of artboard, defaults to the current width
+     * @param {integer} height - height of artboard, defaults to the current height
      */
-    update(data, width, height) {
+    update(data, width=this.width, height=this.height) {
 
-        // update self
-        this.dataSource = data;
-        this.height = height;
-        this.width = width;
+        // check data before anything tries to lay it out
+        this.configureSource(data);
+
+        // size is held to the same rules as every other option
+        this.configureOptions({ height: height, width: width });
+
+        // preloaded frames are laid out again when shown
+        this.frameLayouts.clear();
 
         // generate visualization
         this.generateVisualization();
 
     }
 
+    /**
+     * Check data against the expected stacks/connections format.
+     * @param {object} data - stacks and connections as described in the README
+     * @returns An object with a valid flag, a list of structured errors and a copy of the data with every bad record removed.
+     */
+    validate(data) {
+        return validateData(data);
+    }
+
+
+    /**
+     * Break text into lines that fit a width.
+     * @param {string} text - text to wrap
+     * @param {float} width - maximum width in artboard units
+     * @returns An array of lines, any single word wider than the width is truncated.
+     */
+    wrapText(text, width) {
+
+        let result = [];
+        let line = "";
+
+        text.split(/\s+/).filter(d => d.length > 0).forEach(word => {
+
+            let candidate = line ? `${line} ${word}` : word;
+
+            if (this.measureText(candidate) <= width || !line) {
+                line = candidate;
+            } else {
+                result.push(line);
+                line = word;
+            }
+
+        });
+
+        result.push(line);
+
+        return result.map(d => this.truncateText(d, width));
+
+    }
 };
 
 export { StackedConnections };
@@ -0,0 +1,51 @@
+import test from "ava";
+
+import { diffData } from "../src/diff/index.js";
+
+let testPrevious = {
+    stacks: [
+        { "stack1": { "aaa": 2, "aab": 2 } },
+        { "stack2": { "bbb": 4, "bbc": 1 } }
+    ],
+    connections: [
+        { "source": "aaa", "target": "bbb", "value": 2 },
+        { "source": "aab", "target": "bbc", "value": 1 }
+    ]
+}
+
+let testCurrent = {
+    stacks: [
+        { "stack1": { "aaa": 3, "aab": 1 } },
+        { "stack2": { "bbb": 4, "bbd": 2 } }
+    ],
+    connections: [
+        { "source": "aaa", "target": "bbb", "value": 3 },
+        { "source": "aab", "target": "bbd" }
+    ]
+}
+
+let diff = diffData(testPrevious, testCurrent);
+let item = key => diff.items.find(d => d.key === key);
+
+// TEST ITEMS //
+test("diffData_items", t => {
+
+    t.deepEqual(diff.items.map(d => d.key), ["aaa", "aab", "bbb", "bbd", "bbc"]);
+    t.true(item("aaa").status == "increased" && item("aaa").delta == 1);
+    t.true(item("aab").status == "decreased" && item("aab").share.delta == -25);
+    t.true(item("bbb").status == "unchanged" && item("bbb").delta == 0);
+    t.true(item("bbd").status == "added" && item("bbd").previous === null && item("bbd").delta == 2);
+    t.true(item("bbc").status == "removed" && item("bbc").current === null && item("bbc").stack == "stack2");
+
+});
+
+// TEST CONNECTIONS //
+test("diffData_connections", t => {
+
+    let connection = (source, target) => diff.connections.find(d => d.source === source && d.target === target);
+
+    t.true(connection("aaa", "bbb").status == "increased" && connection("aaa", "bbb").delta == 1);
+    t.true(connection("aab", "bbd").status == "added" && connection("aab", "bbd").delta === null);
+    t.true(connection("aab", "bbc").status == "removed" && connection("aab", "bbc").delta == -1);
+
+});
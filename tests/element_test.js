@@ -0,0 +1,115 @@
+import test from "ava";
+
+import { defineElement, elementAttributes, generateElement } from "../src/element/index.js";
+
+let testData = {
+    stacks: [
+        { "stack1": { "aaa": 1, "aab": 2 } },
+        { "stack2": { "bbb": 2, "bbc": 5 } }
+    ],
+    connections: [
+        { "source": "aaa", "target": "bbb" }
+    ]
+}
+
+/**
+ * Construct an element without a custom element registry, which jsdom does not have.
+ */
+function createElement() {
+
+    let node = document.createElement("stacked-connections");
+
+    Object.setPrototypeOf(node, generateElement(document.defaultView).prototype);
+
+    return node;
+
+}
+
+// TEST ATTRIBUTES //
+test("elementAttributes", t => {
+
+    t.true(elementAttributes.get("padding-stack-cell") == "paddingStackCell");
+    t.true(elementAttributes.get("width") == "width");
+    t.false(elementAttributes.has("transition-ease"));
+
+});
+
+// TEST DEFINE //
+test("defineElement", t => {
+
+    // nothing to register with
+    t.true(defineElement("stacked-connections", document.defaultView) === null);
+
+});
+
+// TEST RENDER //
+test("connectedCallback", t => {
+
+    let node = createElement();
+    let events = [];
+
+    node.setAttribute("data", JSON.stringify(testData));
+    node.setAttribute("width", "300");
+    node.setAttribute("include-value-in-label", "false");
+    node.setAttribute("color", "{\"by\":\"stack\"}");
+    node.addEventListener("render", e => events.push(e));
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    document.body.appendChild(node);
+    node.connectedCallback();
+
+    // options map from attributes
+    t.true(node.chart.width === 300);
+    t.true(node.chart.includeValueInLabel === false);
+    t.deepEqual(node.chart.color, { by: "stack" });
+
+    // chart is drawn in the shadow root with the default stylesheet
+    t.true(document.querySelector("svg") === null);
+    t.true(node.shadowRoot.querySelectorAll(".lgv-bar").length == 4);
+    t.true(node.shadowRoot.querySelector("style").textContent.includes(":host"));
+
+    // chart events leave the shadow root
+    t.true(events.length == 1 && events[0].composed && events[0].detail.width === 300);
+
+});
+
+// TEST UPDATES //
+test("attributeChangedCallback", t => {
+
+    let node = createElement();
+    let events = [];
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // data as a property
+    node.data = testData;
+    document.body.appendChild(node);
+    node.connectedCallback();
+    node.addEventListener("update", e => events.push(e));
+
+    node.setAttribute("padding-stack-cell", "8");
+    node.attributeChangedCallback("padding-stack-cell", null, "8");
+    t.true(node.chart.paddingStackCell === 8);
+
+    node.attributeChangedCallback("data", null, JSON.stringify({ stacks: [{ "stack1": { "aaa": 1 } }] }));
+    t.true(node.shadowRoot.querySelectorAll(".lgv-bar").length == 1);
+    t.true(events.length == 2);
+
+    // removing an attribute restores the default
+    node.attributeChangedCallback("padding-stack-cell", "8", null);
+    t.true(node.chart.paddingStackCell !== 8);
+
+    // stylesheet can be replaced
+    node.stylesheet = ".lgv-bar { fill: red; }";
+    t.true(node.shadowRoot.querySelector("style").textContent == ".lgv-bar { fill: red; }");
+
+    // and everything is torn down when removed
+    let chart = node.chart;
+    node.disconnectedCallback();
+    t.true(node.chart === null && chart.artboard === null);
+
+});
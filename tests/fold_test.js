@@ -0,0 +1,61 @@
+import test from "ava";
+
+import { foldData } from "../src/fold/index.js";
+
+let testData = {
+    stacks: [
+        { "stack1": { "aaa": 10, "aab": 5, "aac": 2, "aad": 1 } },
+        { "stack2": { "bbb": 8, "bbc": 1 } }
+    ],
+    connections: [
+        { "source": "aaa", "target": "bbb", "value": 4 },
+        { "source": "aac", "target": "bbb", "value": 2 },
+        { "source": "aad", "target": "bbb", "value": 1 },
+        { "source": "aad", "target": "bbc" }
+    ]
+}
+
+// TEST NO RULES //
+test("foldData_none", t => {
+
+    let result = foldData(testData);
+
+    t.true(result.data === testData);
+    t.true(result.others.size == 0);
+
+});
+
+// TEST LIMIT //
+test("foldData_limit", t => {
+
+    let result = foldData(testData, { limit: 2 });
+    let other = result.others.get("Other (stack1)");
+
+    t.deepEqual(result.data.stacks[0], { "stack1": { "aaa": 10, "aab": 5, "Other (stack1)": 3 } });
+    t.deepEqual(other.keys, ["aac", "aad"]);
+    t.true(other.stack == "stack1" && other.label == "Other");
+
+    // stacks within the limit are untouched
+    t.true(result.data.stacks[1] === testData.stacks[1]);
+
+    // connections from folded items merge and sum when every value is known
+    let merged = result.data.connections.filter(d => d.source === "Other (stack1)");
+
+    t.true(merged.length == 2);
+    t.true(merged[0].target == "bbb" && merged[0].value == 3 && merged[0].connections.length == 2);
+    t.true(merged[1].target == "bbc" && merged[1].value === null);
+    t.true(result.data.connections[0] === testData.connections[0]);
+
+});
+
+// TEST THRESHOLDS //
+test("foldData_thresholds", t => {
+
+    t.deepEqual(Object.keys(foldData(testData, { minValue: 5 }).data.stacks[1].stack2), ["bbb", "Other (stack2)"]);
+    t.deepEqual(Object.keys(foldData(testData, { minPercent: 20, label: "Rest" }).data.stacks[0].stack1), ["aaa", "aab", "Rest (stack1)"]);
+
+    // expanded stacks keep every item
+    t.true(foldData(testData, { expanded: ["stack1"], limit: 1 }).others.has("Other (stack2)"));
+    t.false(foldData(testData, { expanded: ["stack1"], limit: 1 }).others.has("Other (stack1)"));
+
+});
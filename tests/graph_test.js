@@ -0,0 +1,111 @@
+import test from "ava";
+
+import { ConnectionGraph } from "../src/graph/index.js";
+
+let testData = {
+    stacks: [
+        { "stack1": { "aaa": 1, "aab": 1 } },
+        { "stack2": { "bbb": 1, "bbc": 1 } },
+        { "stack3": { "ccc": 1, "ccd": 1 } }
+    ],
+    connections: [
+        { "source": "aaa", "target": "bbb" },
+        { "source": "aab", "target": "bbb" },
+        { "source": "bbb", "target": "ccc" },
+        { "source": "bbb", "target": "ccd" },
+        { "source": "aaa", "target": "ccd" }
+    ]
+}
+
+let graph = new ConnectionGraph(testData);
+
+// TEST INIT //
+test("init", t => {
+
+    t.true(graph.nodes.size == 6);
+    t.true(graph.connections.length == 5);
+    t.true(graph.nodes.get("bbb").stack == "stack2");
+    t.true(graph.nodes.get("bbb").incoming.length == 2);
+
+});
+
+// TEST GETPATHS //
+test("getPaths", t => {
+
+    let keys = graph.getPaths("bbb").map(d => d.keys.join(" "));
+
+    t.deepEqual(keys.sort(), ["aaa bbb ccc", "aaa bbb ccd", "aab bbb ccc", "aab bbb ccd"]);
+    t.deepEqual(graph.getPaths("aaa").map(d => d.keys.join(" ")).sort(), ["aaa bbb ccc", "aaa bbb ccd", "aaa ccd"]);
+    t.deepEqual(graph.getPaths({ source: "aaa", target: "ccd" }).map(d => d.keys), [["aaa", "ccd"]]);
+    t.true(graph.getPaths({ source: "aaa", target: "ccd" })[0].connections[0] === testData.connections[4]);
+
+    // nothing to trace
+    t.deepEqual(graph.getPaths("bbc"), []);
+    t.deepEqual(graph.getPaths("zzz"), []);
+
+    // stop early
+    t.true(graph.getPaths("bbb", 2).length == 2);
+    t.deepEqual(graph.getPaths("bbb", 2), graph.getPaths("bbb").slice(0, 2));
+
+});
+
+// TEST COUNTPATHS //
+test("countPaths", t => {
+
+    t.true(graph.countPaths("bbb") == 4);
+    t.true(graph.countPaths("aaa") == 3);
+    t.true(graph.countPaths({ source: "bbb", target: "ccd" }) == 2);
+    t.true(graph.countPaths("bbc") == 0);
+    t.true(graph.countPaths("zzz") == 0);
+
+});
+
+// TEST GETPATHKEYS //
+test("getPathKeys", t => {
+
+    t.deepEqual(graph.getPathKeys({ source: "bbb", target: "ccd" }), ["aaa", "aab", "bbb", "ccd"]);
+    t.deepEqual(graph.getPathKeys("aab"), ["aab", "bbb", "ccc", "ccd"]);
+    t.deepEqual(graph.getPathKeys("bbc"), []);
+
+});
+
+// TEST GETUPSTREAM //
+test("getUpstream", t => {
+
+    t.deepEqual(graph.getUpstream("ccd").keys.sort(), ["aaa", "aab", "bbb"]);
+    t.true(graph.getUpstream("ccd").connections.length == 4);
+    t.deepEqual(graph.getUpstream("aaa").keys, []);
+
+});
+
+// TEST GETDOWNSTREAM //
+test("getDownstream", t => {
+
+    t.deepEqual(graph.getDownstream("aab").keys.sort(), ["bbb", "ccc", "ccd"]);
+    t.true(graph.getDownstream("aab").connections.length == 3);
+
+});
+
+// TEST SCALE //
+test("scale", t => {
+
+    let stacks = [0, 1, 2].map(i => ({ [`stack${i}`]: Object.fromEntries([...Array(1000).keys()].map(j => [`${i}.${j}`, 1])) }));
+    let connections = [0, 1].flatMap(i => [...Array(1000).keys()].flatMap(j => [0, 1].map(k => ({ source: `${i}.${j}`, target: `${i + 1}.${(j + k) % 1000}` }))));
+    let large = new ConnectionGraph({ stacks: stacks, connections: connections });
+
+    t.true(large.connections.length == 4000);
+    t.true(large.getDownstream("0.0").keys.length == 5);
+    t.true(large.getUpstream("2.0").keys.length == 5);
+    t.true(large.getPaths("1.0").length == 4);
+
+    // every item linked to every item of the next stack has too many paths to list
+    let dense = new ConnectionGraph({
+        stacks: [...Array(12).keys()].map(i => ({ [`stack${i}`]: Object.fromEntries([...Array(10).keys()].map(j => [`${i}.${j}`, 1])) })),
+        connections: [...Array(11).keys()].flatMap(i => [...Array(100).keys()].map(j => ({ source: `${i}.${Math.floor(j / 10)}`, target: `${i + 1}.${j % 10}` })))
+    });
+
+    t.true(dense.countPaths("5.0") == Math.pow(10, 11));
+    t.true(dense.getPaths("5.0", 10).length == 10);
+    t.true(dense.getPathKeys("5.0").length == 111);
+
+});
@@ -0,0 +1,64 @@
+import test from "ava";
+
+import { configuration } from "../src/configuration.js";
+import { escapeHTML, Tooltip, tooltipContent } from "../src/tooltip/index.js";
+
+let testBar = { item: "aaa", pathCount: 1, paths: [["aaa", "bbb"]], percent: "50.00%", stack: "stack1", type: "bar", value: 2 };
+
+// TEST ESCAPEHTML //
+test("escapeHTML", t => {
+
+    t.true(escapeHTML("<b>&\"'</b>") == "&lt;b&gt;&amp;&quot;&#39;&lt;/b&gt;");
+
+});
+
+// TEST TOOLTIPCONTENT //
+test("tooltipContent", t => {
+
+    let content = tooltipContent(testBar);
+
+    t.true(content.includes("stack1"));
+    t.true(content.includes("50.00%"));
+    t.true(content.includes("aaa → bbb"));
+    t.false(content.includes("more"));
+
+    // paths past the first are counted
+    t.true(tooltipContent({ ...testBar, pathCount: 3 }).includes("<li>2 more</li>"));
+
+    let connection = tooltipContent({ pathCount: 0, paths: [], source: "aaa", sourceStack: "stack1", target: "bbb", targetStack: "stack2", type: "connection", value: null });
+
+    t.true(connection.includes("aaa (stack1)"));
+    t.true(connection.includes("stack2"));
+    t.false(connection.includes(`${configuration.name}-tooltip-paths`));
+
+});
+
+// TEST SHOW //
+test("show", t => {
+
+    // clear document
+    document.body.innerHTML = "";
+
+    let tooltip = new Tooltip(document.body, d => `<span>${d.item}</span>`);
+    let view = document.defaultView;
+
+    tooltip.show(testBar, [10, 20]);
+
+    let node = document.querySelector(`.${configuration.name}-tooltip`);
+
+    t.true(node.innerHTML == "<span>aaa</span>");
+    t.true(node.style.visibility == "visible");
+    t.true(node.style.left == "10px");
+
+    // kept inside the viewport
+    tooltip.show(testBar, [view.innerWidth + 100, view.innerHeight + 100]);
+    t.true(parseFloat(node.style.left) <= view.innerWidth);
+    t.true(parseFloat(node.style.top) <= view.innerHeight);
+
+    tooltip.hide();
+    t.true(node.style.visibility == "hidden");
+
+    tooltip.remove();
+    t.true(document.querySelector(`.${configuration.name}-tooltip`) === null);
+
+});
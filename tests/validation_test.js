@@ -0,0 +1,86 @@
+import test from "ava";
+
+import { validateData, validateOptions, ValidationError } from "../src/validation/index.js";
+
+let testData = {
+    stacks: [
+        { "stack1": { "aaa": 1, "aab": 2, "aac": -3 } },
+        { "stack2": { "bbb": 2, "aab": 5, "bbd": "4" } },
+        { "stack3": {} },
+        { "stack4": { "ccc": 1 } }
+    ],
+    connections: [
+        { "source": "aaa", "target": "bbb" },
+        { "source": "aax", "target": "bbb" },
+        { "source": "aaa", "target": "bbx" },
+        { "source": "aaa", "target": "ccc" },
+        { "source": "bbb", "target": "aaa" },
+        { "source": "bbb", "target": "ccc", "value": -1 }
+    ]
+}
+
+// TEST VALIDATEDATA //
+test("validateData", t => {
+
+    let result = validateData(testData);
+    let types = result.errors.map(d => d.type);
+
+    t.false(result.valid);
+    t.deepEqual(types.filter(d => d == "invalid-value").length, 3);
+    t.true(types.includes("duplicate-key"));
+    t.true(types.includes("empty-stack"));
+    t.true(types.includes("unknown-source"));
+    t.true(types.includes("unknown-target"));
+    t.true(types.includes("backward-connection"));
+
+    // bad records are skipped
+    t.deepEqual(result.data.stacks, [
+        { "stack1": { "aaa": 1, "aab": 2 } },
+        { "stack2": { "bbb": 2 } },
+        { "stack4": { "ccc": 1 } }
+    ]);
+    t.deepEqual(result.data.connections, [{ "source": "aaa", "target": "bbb" }, { "source": "aaa", "target": "ccc" }]);
+
+});
+
+// TEST VALIDATEDATA FORMAT //
+test("validateData_format", t => {
+
+    t.true(validateData().valid);
+    t.true(validateData({ stacks: [{ "stack1": { "aaa": 1 } }] }).valid);
+    t.false(validateData({ stack: [] }).valid);
+    t.true(validateData({ stack: [] }).errors[0].type == "invalid-format");
+
+});
+
+// TEST VALIDATIONERROR //
+test("ValidationError", t => {
+
+    let error = new ValidationError(validateData(testData).errors);
+
+    t.true(error instanceof Error);
+    t.true(error.errors.length == validateData(testData).errors.length);
+
+});
+
+// TEST VALIDATEOPTIONS //
+test("validateOptions", t => {
+
+    let result = validateOptions({ bandPadding: 2, curve: "0.3", orientation: "diagonal", strict: "true", width: 400, unknown: 1 }, { bandPadding: 0.94, curve: 0.5, orientation: "vertical" });
+    let types = result.errors.map(d => d.type);
+
+    t.false(result.valid);
+    t.deepEqual(types.filter(d => d == "invalid-option").length, 2);
+    t.true(types.includes("unknown-option"));
+
+    // invalid values keep the default and environment strings are converted
+    t.true(result.options.bandPadding === 0.94);
+    t.true(result.options.orientation === "vertical");
+    t.true(result.options.curve === 0.3);
+    t.true(result.options.strict === true);
+    t.true(result.options.width === 400);
+
+    t.true(validateOptions({ labelMaxWidth: null, order: ["aaa"], color: d => "red" }).valid);
+    t.false(validateOptions("wide").valid);
+
+});
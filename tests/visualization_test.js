@@ -1,4 +1,5 @@
 import test from "ava";
+import { select } from "d3-selection";
 
 import { configuration, configurationDimension, configurationLayout } from "../src/configuration.js";
 import { StackedConnections } from "../src/index.js";
@@ -129,3 +130,1480 @@ test("render_params", t => {
     t.true(artboard.getAttribute("viewBox").split(" ")[2] == testWidth);
 
 });
+
+/******************** VALUE-WEIGHTED CONNECTIONS ********************/
+
+let testDataValues = {
+    stacks: [
+        { "stack1": { "aaa": 4, "aab": 2 } },
+        { "stack2": { "bbb": 3, "bbc": 3 } }
+    ],
+    connections: [
+        { "source": "aaa", "target": "bbb", "value": 3 },
+        { "source": "aaa", "target": "bbc", "value": 1 },
+        { "source": "aab", "target": "bbc" }
+    ]
+}
+
+// initialize
+let scv = new StackedConnections(testDataValues, testWidth, testHeight, true, testPaddingCell, testPaddingText);
+
+// TEST GENERATECONNECTIONLAYOUT //
+test("generateConnectionLayout", t => {
+
+    scv.configureData();
+
+    let ribbons = scv.generateConnectionLayout(scv.stacks);
+    let [weighted, weightedSibling, unweighted] = ribbons;
+    let [sourceY0, sourceY1] = scv.itemExtent(scv.stacks[0], "aaa");
+
+    // ribbons stack inside the source bar in proportion to value
+    t.true(weighted.sourceY0 === sourceY0);
+    t.true(weighted.sourceY1 === weightedSibling.sourceY0);
+    t.true(Math.abs((weighted.sourceY1 - weighted.sourceY0) - (weightedSibling.sourceY1 - weightedSibling.sourceY0) * 3) < 0.0001);
+    t.true(weightedSibling.sourceY1 <= sourceY1);
+
+    // connections without a value span the full bar
+    t.deepEqual([unweighted.sourceY0, unweighted.sourceY1], scv.itemExtent(scv.stacks[0], "aab"));
+    t.deepEqual([unweighted.targetY0, unweighted.targetY1], scv.itemExtent(scv.stacks[1], "bbc"));
+
+});
+
+// TEST GENERATECONNECTIONLAYOUT OVERFLOW //
+test("generateConnectionLayout_overflow", t => {
+
+    let sco = new StackedConnections({
+        stacks: [
+            { "stack1": { "aaa": 2, "aab": 8 } },
+            { "stack2": { "bbb": 5, "bbc": 5 } }
+        ],
+        connections: [
+            { "source": "aaa", "target": "bbb", "value": 5 },
+            { "source": "aaa", "target": "bbc", "value": 5 }
+        ]
+    }, testWidth, testHeight);
+
+    sco.configureData();
+
+    let [first, second] = sco.ribbons;
+    let [y0, y1] = sco.itemExtent(sco.stacks[0], "aaa");
+
+    // ribbons worth more than their item are scaled down to fit its bar
+    t.true(Math.abs(first.sourceY0 - y0) < 0.0001);
+    t.true(Math.abs(second.sourceY1 - y1) < 0.0001);
+    t.true(Math.abs((first.sourceY1 - first.sourceY0) - (second.sourceY1 - second.sourceY0)) < 0.0001);
+
+    // ends that fit are left as is
+    t.deepEqual([first.targetY0, first.targetY1], sco.itemExtent(sco.stacks[1], "bbb"));
+
+});
+
+// TEST RENDER //
+test("render_values", t => {
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    scv.render(document.body);
+
+    let connections = document.querySelectorAll(".lgv-connection");
+
+    t.true(connections.length == testDataValues.connections.length);
+    t.true(connections[0].getAttribute("data-value") == "3");
+    t.true(connections[2].getAttribute("data-value") === null);
+
+});
+
+/******************** FOCUS ********************/
+
+// TEST FOCUSCLASS //
+test("focusClass", t => {
+
+    t.true(scn.focusClass("some label") === "lgv-focus-some-label");
+
+});
+
+// TEST SETFOCUS //
+test("setFocus", t => {
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    scn.render(document.body);
+
+    let focused = document.querySelector(".lgv-connection[data-source='aaa']");
+    let unfocused = document.querySelector(".lgv-connection[data-source='bbb']");
+
+    t.true(focused.getAttribute("data-focus") === "some-label");
+    t.true(focused.classList.contains("lgv-focus-some-label"));
+    t.true(unfocused.getAttribute("data-focus") === null);
+
+    scn.setFocus("some-label");
+
+    t.true(focused.classList.contains("focused"));
+    t.true(unfocused.classList.contains("dimmed"));
+    t.true(document.querySelector(".lgv-bar[data-key='bbb']").classList.contains("focused"));
+    t.true(document.querySelector(".lgv-bar[data-key='ccd']").classList.contains("dimmed"));
+
+    scn.setFocus(null);
+
+    t.false(unfocused.classList.contains("dimmed"));
+    t.true(unfocused.getAttribute("opacity") === null);
+
+    // focus survives data updates
+    scn.setFocus("some-label");
+    scn.update(testData, testWidth, testHeight);
+
+    t.true(scn.focus === "some-label");
+    t.true(document.querySelector(".lgv-connection[data-source='bbb']").classList.contains("dimmed"));
+
+    scn.setFocus(null);
+
+});
+
+/******************** TRANSITIONS ********************/
+
+// TEST TRANSITION //
+test("transition", t => {
+
+    let sct = new StackedConnections(testData, testWidth, testHeight);
+    let selection = sct.transitionEnter(select(document.createElement("div")));
+
+    // disabled by default
+    t.true(sct.transition(selection) === selection);
+    t.true(selection.style("opacity") === "");
+
+    sct.setTransition(250);
+
+    // transitions scheduled when enabled
+    t.true(sct.transition(selection) !== selection);
+    t.true(typeof(sct.transition(selection).duration) == "function");
+    t.true(sct.transitionEnter(selection).style("opacity") === "0");
+
+});
+
+// TEST UPDATE //
+test("update_keyed", t => {
+
+    let scu = new StackedConnections(testData, testWidth, testHeight);
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    scu.render(document.body);
+
+    let bar = document.querySelector(".lgv-bar[data-key='aaa']");
+
+    // update with items removed from the front of the stack
+    scu.update({
+        stacks: [
+            { "stack1": { "aaa": 1 } },
+            { "stack2": { "bbb": 2, "bbc": 5} }
+        ],
+        connections: [
+            { "source": "aaa", "target": "bbb" }
+        ]
+    }, testWidth, testHeight);
+
+    // existing nodes are kept by key
+    t.true(document.querySelector(".lgv-bar[data-key='aaa']") === bar);
+    t.true(document.querySelectorAll(".lgv-bar").length == 3);
+    t.true(document.querySelectorAll(".lgv-annotation").length == 2);
+
+});
+
+/******************** SELECTION ********************/
+
+let testDataPaths = {
+    stacks: [
+        { "stack1": { "aaa": 1, "aab": 2 } },
+        { "stack2": { "bbb": 2, "bbc": 5 } },
+        { "stack3": { "ccc": 1, "ccd": 8 } }
+    ],
+    connections: [
+        { "source": "aaa", "target": "bbb" },
+        { "source": "aab", "target": "bbc" },
+        { "source": "bbb", "target": "ccd" },
+        { "source": "bbc", "target": "ccc" }
+    ]
+}
+
+// TEST SELECT //
+test("select", t => {
+
+    let scs = new StackedConnections(testDataPaths, testWidth, testHeight);
+    let events = [];
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    scs.render(document.body);
+
+    document.body.addEventListener("selectionchange", e => events.push(e.detail));
+
+    scs.select("aaa");
+
+    // every item on the full path is selected
+    t.deepEqual(scs.getSelection(), ["aaa"]);
+    t.true(document.querySelector(".lgv-bar[data-key='ccd']").classList.contains("selected"));
+    t.true(document.querySelector(".lgv-bar[data-key='bbc']").classList.contains("dimmed"));
+    t.true(document.querySelector(".lgv-connection[data-source='bbb']").classList.contains("selected"));
+    t.true(events.length == 1);
+    t.deepEqual(events[0].paths.map(d => d.keys), [["aaa", "bbb", "ccd"]]);
+
+    // additive selection of a connection
+    scs.select({ source: "bbc", target: "ccc" }, true);
+
+    t.true(scs.getSelection().length == 2);
+    t.true(document.querySelector(".lgv-bar[data-key='aab']").classList.contains("selected"));
+
+    // toggling with a modifier removes only that entry
+    scs.toggleSelection("aaa", true);
+
+    t.deepEqual(scs.getSelection(), [{ source: "bbc", target: "ccc" }]);
+    t.true(document.querySelector(".lgv-bar[data-key='aaa']").classList.contains("dimmed"));
+
+    scs.clearSelection();
+
+    t.true(scs.getSelection().length == 0);
+    t.false(document.querySelector(".lgv-bar[data-key='aaa']").classList.contains("dimmed"));
+    t.true(events.length == 4);
+
+});
+
+// TEST SELECT UNKNOWN //
+test("select_unknown", t => {
+
+    let scu = new StackedConnections(testDataPaths, { width: testWidth, height: testHeight });
+    let events = [];
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    scu.render(document.body);
+    scu.on("selectionchange", e => events.push(e.detail.selection));
+
+    // keys and connections not in the data are ignored
+    scu.select("typo").select({ source: "aaa", target: "ccd" });
+    t.true(scu.getSelection().length == 0 && events.length == 0);
+
+    scu.setOptions({ strict: true });
+    t.throws(() => scu.select("typo"), { name: "ValidationError" });
+    scu.setOptions({ strict: false });
+
+    // entries removed by an update are dropped
+    scu.select("bbb");
+    scu.update({ stacks: [{ "stack1": { "aab": 2 } }, { "stack2": { "bbc": 5 } }], connections: [{ "source": "aab", "target": "bbc" }] });
+
+    t.true(scu.getSelection().length == 0);
+    t.deepEqual(events[events.length - 1], []);
+    t.true(document.querySelectorAll(".dimmed").length == 0);
+
+    // and so are Other items once expanded
+    scu.update(testDataPaths);
+    scu.setOptions({ otherLimit: 1 }).select("Other (stack1)");
+    t.deepEqual(scu.getSelection(), ["Other (stack1)"]);
+
+    scu.expandOther("stack1");
+
+    t.true(scu.getSelection().length == 0);
+    t.deepEqual(events[events.length - 1], []);
+
+});
+
+// TEST CLICK //
+test("select_click", t => {
+
+    let scs = new StackedConnections(testDataPaths, testWidth, testHeight);
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    scs.render(document.body);
+
+    let bar = document.querySelector(".lgv-bar[data-key='bbc']");
+
+    bar.dispatchEvent(new document.defaultView.MouseEvent("click", { bubbles: true }));
+    t.deepEqual(scs.getSelection(), ["bbc"]);
+
+    document.querySelector(".lgv-bar[data-key='aaa']").dispatchEvent(new document.defaultView.MouseEvent("click", { bubbles: true, shiftKey: true }));
+    t.deepEqual(scs.getSelection(), ["bbc", "aaa"]);
+
+    // clicking empty space clears
+    document.querySelector(`.${configuration.name}`).dispatchEvent(new document.defaultView.MouseEvent("click", { bubbles: true }));
+    t.true(scs.getSelection().length == 0);
+
+});
+
+/******************** ACCESSIBILITY ********************/
+
+// TEST ARIA //
+test("aria", t => {
+
+    let sca = new StackedConnections(testDataPaths, testWidth, testHeight);
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    sca.render(document.body);
+
+    let artboard = document.querySelector(`.${configuration.name}`);
+    let bar = document.querySelector(".lgv-bar[data-key='aab']");
+
+    t.true(artboard.getAttribute("role") === "group");
+    t.true(artboard.firstChild.nodeName === "title");
+    t.true(artboard.firstChild.textContent.includes("stack1"));
+    t.true(artboard.querySelector("desc") !== null);
+    t.true(bar.getAttribute("aria-label") === "stack1: aab, 66.67%");
+    t.true(document.querySelector(".lgv-connection").getAttribute("aria-label") !== null);
+
+    // only one entry point in the tab order
+    t.true(document.querySelectorAll("[tabindex='0']").length == 1);
+    t.true(bar.getAttribute("tabindex") === "0");
+
+});
+
+// TEST NAVIGATE //
+test("navigate", t => {
+
+    let sca = new StackedConnections(testDataPaths, testWidth, testHeight);
+    let key = (node, k) => node.dispatchEvent(new document.defaultView.KeyboardEvent("keydown", { bubbles: true, key: k }));
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    sca.render(document.body);
+
+    let bar = document.querySelector(".lgv-bar[data-key='aab']");
+
+    // move down within the stack
+    key(bar, "ArrowDown");
+    t.true(document.querySelector(".lgv-bar[data-key='aaa']").getAttribute("tabindex") === "0");
+    t.true(bar.getAttribute("tabindex") === "-1");
+
+    // follow the connection into the next stack
+    key(document.querySelector(".lgv-bar[data-key='aaa']"), "ArrowRight");
+    t.true(document.querySelector(".lgv-connection[data-source='aaa']").getAttribute("tabindex") === "0");
+
+    key(document.querySelector(".lgv-connection[data-source='aaa']"), "ArrowRight");
+    t.true(document.querySelector(".lgv-bar[data-key='bbb']").getAttribute("tabindex") === "0");
+
+    // select with the keyboard
+    key(document.querySelector(".lgv-bar[data-key='bbb']"), "Enter");
+    t.deepEqual(sca.getSelection(), ["bbb"]);
+    t.true(document.querySelector(".lgv-bar[data-key='bbb']").getAttribute("aria-pressed") === "true");
+
+    // connections send the same click event as the mouse
+    let clicks = [];
+
+    sca.on("connectionclick", e => clicks.push(e.detail));
+    key(document.querySelector(".lgv-connection[data-source='aaa']"), " ");
+
+    t.true(clicks.length == 1);
+    t.true(clicks[0].source == "aaa" && clicks[0].xy === null);
+    t.deepEqual(sca.getSelection(), [{ source: "aaa", target: "bbb" }]);
+
+});
+
+// TEST NAVIGATE EXIT //
+test.serial("navigate_exit", async t => {
+
+    let view = document.defaultView;
+    let sca = new StackedConnections(testDataPaths, { width: testWidth, height: testHeight, transitionDuration: 20 });
+    let key = (node, k) => node.dispatchEvent(new view.KeyboardEvent("keydown", { bubbles: true, key: k }));
+    let wait = () => new Promise(resolve => setTimeout(resolve, 100));
+
+    // jsdom has no svg transform list for transitions to interpolate
+    Object.defineProperty(view.SVGElement.prototype, "transform", { configurable: true, get: () => ({ baseVal: { consolidate: () => null } }) });
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    sca.render(document.body);
+
+    let first = document.querySelector("[tabindex='0']").getAttribute("data-key");
+    let connection = document.querySelector(`.lgv-connection[data-source='${first}']`);
+
+    // remove the item holding the tab stop with an animated update
+    sca.update({
+        stacks: testDataPaths.stacks.map(s => ({ [Object.keys(s)[0]]: Object.fromEntries(Object.entries(Object.values(s)[0]).filter(d => d[0] !== first)) })),
+        connections: testDataPaths.connections.filter(d => d.source !== first)
+    });
+
+    // the tab stop moves to a shape that stays
+    let stops = () => [...document.querySelectorAll("[tabindex='0']")];
+
+    t.true(stops().length == 1 && stops()[0].getAttribute("data-key") !== first);
+    t.true(connection.getAttribute("tabindex") === null);
+
+    // keys pressed on a fading shape do nothing
+    t.notThrows(() => key(connection, "Enter"));
+    t.true(sca.getSelection().length == 0);
+
+    await wait();
+
+    t.true(document.querySelector(`.lgv-bar[data-key='${first}']`) === null);
+    t.true(stops().length == 1);
+
+    delete view.SVGElement.prototype.transform;
+
+});
+
+/******************** VALIDATION ********************/
+
+let testDataInvalid = {
+    stacks: [
+        { "stack1": { "aaa": 1, "aab": 2 } },
+        { "stack2": { "bbb": 2, "bbc": 5 } }
+    ],
+    connections: [
+        { "source": "aaa", "target": "bbb" },
+        { "source": "aaa", "target": "bbx" }
+    ]
+}
+
+// TEST VALIDATE //
+test("validate", t => {
+
+    t.true(scn.validate(testData).valid);
+    t.true(scn.validate(testDataInvalid).errors[0].type == "unknown-target");
+
+});
+
+// TEST STRICT //
+test("strict", t => {
+
+    t.throws(() => new StackedConnections(testDataInvalid, testWidth, testHeight, true, testPaddingCell, testPaddingText, true), { name: "ValidationError" });
+
+    let scs = new StackedConnections(testData, testWidth, testHeight, true, testPaddingCell, testPaddingText, true);
+
+    t.throws(() => scs.update(testDataInvalid, testWidth, testHeight), { name: "ValidationError" });
+    t.true(scs.dataSource === testData);
+
+});
+
+// TEST LENIENT //
+test("lenient", t => {
+
+    let scl = new StackedConnections(testDataInvalid, testWidth, testHeight);
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    scl.render(document.body);
+
+    t.true(document.querySelectorAll(".lgv-connection").length == 1);
+
+});
+
+/******************** SKIPPED STACKS ********************/
+
+let testDataSkip = {
+    stacks: [
+        { "stack1": { "aaa": 2, "aab": 2 } },
+        { "stack2": { "bbb": 2, "bbc": 2 } },
+        { "stack3": { "ccc": 2, "ccd": 2 } }
+    ],
+    connections: [
+        { "source": "aaa", "target": "bbb", "value": 1 },
+        { "source": "aaa", "target": "ccd", "value": 1 },
+        { "source": "bbb", "target": "ccd", "value": 1 }
+    ]
+}
+
+// TEST GENERATEPASSTHROUGHS //
+test("generatePassthroughs", t => {
+
+    let passthroughs = scn.generatePassthroughs(testDataSkip);
+
+    t.true(passthroughs[0].length == 0);
+    t.true(passthroughs[1].length == 1);
+    t.true(passthroughs[1][0].connection.target == "ccd");
+    t.true(passthroughs[2].length == 0);
+
+});
+
+// TEST SKIP LAYOUT //
+test("generateConnectionLayout_skip", t => {
+
+    let scs = new StackedConnections(testDataSkip, testWidth, testHeight);
+
+    scs.configureData();
+
+    let skip = scs.ribbons.find(d => d.target == "ccd" && d.source == "aaa");
+    let adjacent = scs.ribbons.find(d => d.target == "ccd" && d.source == "bbb");
+    let lane = scs.stacks[1].lanes[0];
+
+    // routed through a lane below the bars of the skipped stack
+    t.true(skip.points.length == 3);
+    t.true(skip.points[1].y0 == lane.y0);
+    t.true(lane.y0 > scs.itemExtent(scs.stacks[1], "bbc")[1]);
+    t.true(lane.y1 <= testHeight - scs.paddingAnnotations + 0.0001);
+
+    // ribbons arriving from different stacks share the target bar without overlapping
+    t.true(Math.abs(adjacent.targetY0 - skip.targetY1) < 0.0001 || Math.abs(skip.targetY0 - adjacent.targetY1) < 0.0001);
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    scs.render(document.body);
+
+    t.true(document.querySelectorAll(".lgv-connection").length == 3);
+    t.true(document.querySelector(".lgv-connection[data-target='ccd']").getAttribute("d").length > 0);
+
+});
+
+/******************** ORDER ********************/
+
+let testDataCrossing = {
+    stacks: [
+        { "stack1": { "aaa": 3, "aab": 2, "aac": 1 } },
+        { "stack2": { "bbb": 3, "bbc": 2, "bbd": 1 } }
+    ],
+    connections: [
+        { "source": "aaa", "target": "bbd" },
+        { "source": "aab", "target": "bbc" },
+        { "source": "aac", "target": "bbb" }
+    ]
+}
+
+// TEST SORTKEYS //
+test("sortKeys", t => {
+
+    let sco = new StackedConnections(testDataCrossing, testWidth, testHeight);
+    let items = { "b": 1, "a": 1, "c": 5 };
+
+    t.deepEqual(sco.sortKeys(items), ["c", "a", "b"]);
+
+    sco.order = "input";
+    t.deepEqual(sco.sortKeys(items), ["b", "a", "c"]);
+
+    sco.order = (a,b) => a.key.localeCompare(b.key);
+    t.deepEqual(sco.sortKeys(items), ["a", "b", "c"]);
+
+    sco.order = ["b"];
+    t.deepEqual(sco.sortKeys(items), ["b", "c", "a"]);
+
+});
+
+// TEST CROSSING //
+test("generateStackOrders_crossing", t => {
+
+    let sco = new StackedConnections(testDataCrossing, testWidth, testHeight);
+    let data = sco.validate(testDataCrossing).data;
+
+    t.true(sco.countCrossings(sco.generateStackOrders(data), data.connections) == 3);
+
+    sco.setOrder("crossing");
+
+    t.true(sco.countCrossings(sco.generateStackOrders(data), data.connections) == 0);
+
+    // rendered layout follows the new order
+    sco.configureData();
+    t.deepEqual(sco.stacks[1].series.map(d => d.key), ["bbd", "bbc", "bbb"]);
+
+});
+
+/******************** LABEL TEXT ********************/
+
+// TEST MEASURETEXT //
+test("measureText", t => {
+
+    let scm = new StackedConnections(testData, testWidth, testHeight);
+
+    // falls back to the character table without a layout engine
+    t.true(scm.measureText("aaa") === scm.characterWidth("aaa", scm.artboardUnit));
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    scm.render(document.body);
+
+    t.true(scm.measureText("aab") === scm.characterWidth("aab", scm.artboardUnit));
+
+    // measuring leaves nothing behind for label selectors to match
+    t.true(document.querySelector(".lgv-measure") === null);
+    t.true(document.querySelectorAll(".lgv-label").length == document.querySelectorAll(".lgv-labels .lgv-label").length);
+
+});
+
+// TEST TRUNCATETEXT //
+test("truncateText", t => {
+
+    let scm = new StackedConnections(testData, testWidth, testHeight);
+    let text = "a very long category name";
+    let width = scm.measureText("a very long");
+    let truncated = scm.truncateText(text, width);
+
+    t.true(scm.truncateText("short", width) === "short");
+    t.true(truncated.endsWith("…"));
+    t.true(scm.measureText(truncated) <= width);
+    t.true(text.startsWith(truncated.slice(0, -1)));
+
+});
+
+// TEST WRAPTEXT //
+test("wrapText", t => {
+
+    let scm = new StackedConnections(testData, testWidth, testHeight);
+    let width = scm.measureText("a very long");
+    let lines = scm.wrapText("a very long category name", width);
+
+    t.true(lines.length > 1);
+    t.true(lines.every(d => scm.measureText(d) <= width));
+    t.true(lines.join(" ") === "a very long category name");
+
+});
+
+// TEST LABELS //
+test("generateStackLabels_overflow", t => {
+
+    let data = {
+        stacks: [
+            { "stack1": { "a very long category name": 1, "aab": 2 } },
+            { "stack2": { "bbb": 2, "another very long category name": 5 } }
+        ],
+        connections: []
+    };
+    let scm = new StackedConnections(data, testWidth, testHeight);
+
+    scm.labelMaxWidth = 60;
+    scm.labelOverflow = "wrap";
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    scm.render(document.body);
+
+    let label = document.querySelector(".lgv-label[data-key='a very long category name']");
+
+    t.true(label.querySelector("title").textContent === "a very long category name");
+    t.true(label.querySelectorAll("tspan").length > 2);
+    t.true(parseFloat(label.querySelector("rect").getAttribute("height")) > scm.artboardUnit * 1.4);
+
+    scm.labelOverflow = "truncate";
+    scm.update(data, testWidth, testHeight);
+
+    t.true(label.querySelectorAll("tspan").length == 2);
+    t.true(label.querySelector("tspan").textContent.endsWith("…"));
+
+});
+
+/******************** LABEL LAYOUT ********************/
+
+// TEST RESOLVECOLLISIONS //
+test("resolveCollisions", t => {
+
+    let positions = scn.resolveCollisions([
+        { key: "a", position: 0, size: 10 },
+        { key: "b", position: 5, size: 10 },
+        { key: "c", position: 95, size: 10 }
+    ], 0, 100);
+
+    t.true(positions.get("a") == 0);
+    t.true(positions.get("b") == 10);
+    t.true(positions.get("c") == 90);
+
+});
+
+// TEST LABEL COLLISIONS //
+test("generateStackLabels_collisions", t => {
+
+    let data = {
+        stacks: [
+            { "stack1": { "aaa": 100, "aab": 1, "aac": 1, "aad": 1, "aae": 0.01 } },
+            { "stack2": { "bbb": 2 } }
+        ],
+        connections: []
+    };
+    let scl = new StackedConnections(data, testWidth, testHeight);
+
+    scl.labelMinPercent = 0.5;
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    scl.render(document.body);
+
+    let boxes = ["aab", "aac", "aad"].map(key => {
+        let label = document.querySelector(`.lgv-label[data-key='${key}']`);
+        let y = parseFloat(label.getAttribute("transform").split(",")[1]);
+        return [y, y + parseFloat(label.querySelector("rect").getAttribute("height"))];
+    });
+
+    // no overlap between neighbors
+    t.true(boxes[0][1] <= boxes[1][0] + 0.0001);
+    t.true(boxes[1][1] <= boxes[2][0] + 0.0001);
+
+    // moved labels point back to their bar
+    t.true(document.querySelectorAll(".lgv-leader").length > 0);
+
+    // tiny label only appears on hover
+    let hidden = document.querySelector(".lgv-label[data-key='aae']");
+    let bar = document.querySelector(".lgv-bar[data-key='aae']");
+
+    t.true(hidden.getAttribute("display") === "none");
+
+    bar.dispatchEvent(new document.defaultView.MouseEvent("mouseover", { bubbles: true }));
+    t.true(hidden.getAttribute("display") === null);
+
+    bar.dispatchEvent(new document.defaultView.MouseEvent("mouseout", { bubbles: true }));
+    t.true(hidden.getAttribute("display") === "none");
+
+});
+
+/******************** ORIENTATION ********************/
+
+// TEST HORIZONTAL //
+test("setOrientation", t => {
+
+    let sch = new StackedConnections(testData, testWidth, testHeight, true, testPaddingCell, testPaddingText);
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    sch.setOrientation("horizontal").render(document.body);
+
+    let bars = [...document.querySelectorAll(".lgv-bar")];
+    let rows = [...new Set(bars.map(d => d.getAttribute("y")))];
+
+    // each stack is a row with items side by side
+    t.true(rows.length == sch.stacks.length);
+    t.true(bars.every(d => parseFloat(d.getAttribute("height")) == sch.barWidth));
+    t.true(Math.max(...bars.map(d => parseFloat(d.getAttribute("x")) + parseFloat(d.getAttribute("width")))) <= testWidth + 0.0001);
+
+    // connections start below the source row
+    let path = document.querySelector(".lgv-connection").getAttribute("d");
+    let start = path.slice(1).split(/[A-Z]/)[0].split(",").map(parseFloat);
+
+    t.true(start[1] == sch.stackScale(sch.stacks[0].key) + sch.barWidth);
+
+    // every row title is inside the artboard including the one below the last row
+    let annotations = [...document.querySelectorAll(".lgv-annotation")].map(d => parseFloat(d.getAttribute("y")));
+
+    t.true(annotations.length == sch.stacks.length);
+    t.true(annotations.every(d => d > 0 && d <= testHeight));
+    t.true(annotations[annotations.length - 1] > Math.max(...bars.map(d => parseFloat(d.getAttribute("y")))) + sch.paddingAnnotations + sch.barWidth);
+
+    // switching back restores columns
+    sch.setOrientation("vertical");
+    t.true(new Set([...document.querySelectorAll(".lgv-bar")].map(d => d.getAttribute("x"))).size == sch.stacks.length);
+
+});
+
+/******************** TOOLTIP ********************/
+
+// TEST SETTOOLTIP //
+test("setTooltip", t => {
+
+    let sct = new StackedConnections(testData, testWidth, testHeight, true, testPaddingCell, testPaddingText);
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    sct.setTooltip().render(document.body);
+
+    let tooltip = () => document.querySelector(`.${configuration.name}-tooltip`);
+
+    let bar = document.querySelector(".lgv-bar[data-key='aaa']");
+    bar.dispatchEvent(new document.defaultView.MouseEvent("mouseover", { bubbles: true }));
+
+    t.true(tooltip().style.visibility == "visible");
+    t.true(tooltip().textContent.includes(sct.stacks[0].key));
+
+    bar.dispatchEvent(new document.defaultView.MouseEvent("mouseout", { bubbles: true }));
+    t.true(tooltip().style.visibility == "hidden");
+
+    // connections use the template too
+    sct.setTooltip(true, d => `${d.type}:${d.source || d.item}`);
+
+    let connection = document.querySelector(".lgv-connection");
+    connection.dispatchEvent(new document.defaultView.MouseEvent("mouseover", { bubbles: true }));
+    t.true(tooltip().textContent == `connection:${connection.getAttribute("data-source")}`);
+
+    sct.setTooltip(false);
+    t.true(tooltip() === null);
+
+});
+
+/******************** CONNECTION EVENTS ********************/
+
+// TEST CONNECTION EVENTS //
+test("connection_events", t => {
+
+    let sce = new StackedConnections(testData, testWidth, testHeight, true, testPaddingCell, testPaddingText);
+    let events = [];
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    sce.render(document.body);
+
+    ["connectionmouseover", "connectionmouseout", "connectionclick"].forEach(type => document.body.addEventListener(type, e => events.push(e)));
+
+    let connection = document.querySelector(".lgv-connection");
+    let d = select(connection).datum();
+
+    ["mouseover", "mouseout", "click"].forEach(type => connection.dispatchEvent(new document.defaultView.MouseEvent(type, { bubbles: true })));
+
+    t.deepEqual(events.map(e => e.type), ["connectionmouseover", "connectionmouseout", "connectionclick"]);
+
+    let detail = events[0].detail;
+
+    t.true(detail.source == d.source);
+    t.true(detail.target == d.target);
+    t.deepEqual(detail.stacks, [d.sourceStack.key, d.targetStack.key]);
+    t.deepEqual(detail.paths, sce.getPaths({ source: d.source, target: d.target }));
+    t.true(detail.paths.length > 0);
+    t.true(Array.isArray(detail.xy));
+    t.true("focus" in detail && "value" in detail);
+
+});
+
+/******************** EXPORT ********************/
+
+// TEST TOSVGSTRING //
+test("toSVGString", t => {
+
+    let scs = new StackedConnections(testData, testWidth, testHeight, true, testPaddingCell, testPaddingText);
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    scs.render(document.body);
+
+    let live = document.querySelector(`.${configuration.name}`);
+
+    // a document other than the page like one from jsdom on a server
+    let doc = document.implementation.createHTMLDocument("");
+    let result = scs.toSVGString(doc);
+
+    t.true(result.startsWith("<svg"));
+    t.true(result.includes('xmlns="http://www.w3.org/2000/svg"'));
+    t.true(result.includes(`width="${testWidth}"`));
+    t.true(result.includes(`height="${testHeight}"`));
+    t.true(result.includes("font-family="));
+    t.true(result.includes("<style>"));
+    t.true(result.includes("lgv-connection"));
+    t.false(result.includes("lgv-measure"));
+
+    // a static image without interactive markup or keyboard instructions
+    t.true(result.includes('role="img"'));
+    ["tabindex", "role=\"button\"", "aria-pressed", "aria-expanded", "arrow keys"].forEach(d => t.false(result.includes(d)));
+
+    // live chart is untouched
+    t.true(scs.artboard.node() === live);
+    t.true(document.querySelectorAll("svg").length == 1);
+
+    // parses back as svg
+    let parsed = new document.defaultView.DOMParser().parseFromString(result, "image/svg+xml");
+    t.true(parsed.documentElement.querySelectorAll(".lgv-bar").length == live.querySelectorAll(".lgv-bar").length);
+
+    // never rendered instance works too
+    t.true(new StackedConnections(testData, testWidth, testHeight).toSVGString(doc).includes("lgv-bar"));
+
+});
+
+/******************** GRAPH ********************/
+
+// TEST GETPATHS //
+test("getPaths", t => {
+
+    let data = {
+        stacks: [
+            { "stack1": { "a.b": 1, "aa": 1 } },
+            { "stack2": { "aaa": 1, "b": 1 } },
+            { "stack3": { "c": 1 } }
+        ],
+        connections: [
+            { "source": "a.b", "target": "aaa" },
+            { "source": "aa", "target": "b" },
+            { "source": "aaa", "target": "c" }
+        ]
+    };
+    let scg = new StackedConnections(data, testWidth, testHeight);
+
+    // keys with dots and keys inside other keys are matched exactly
+    t.deepEqual(scg.getPaths("a.b").map(d => d.keys), [["a.b", "aaa", "c"]]);
+    t.deepEqual(scg.getPaths("aa").map(d => d.keys), [["aa", "b"]]);
+    t.deepEqual(scg.getPaths({ source: "aaa", target: "c" })[0].connections.map(d => d.source), ["a.b", "aaa"]);
+    t.deepEqual(scg.getUpstream("c").keys, ["aaa", "a.b"]);
+    t.deepEqual(scg.getDownstream("aa").keys, ["b"]);
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    scg.render(document.body);
+
+    t.true(document.querySelector(".lgv-connection[data-source='aa']").getAttribute("data-path") == JSON.stringify(["aa", "b"]));
+    t.true(document.querySelector(".lgv-connection[data-source='aaa']").getAttribute("data-path") == JSON.stringify(["a.b", "aaa", "c"]));
+    t.deepEqual(scg.getPathKeys("aaa"), ["a.b", "aaa", "c"]);
+    t.true(scg.countPaths("aaa") == 1);
+
+    scg.select("aa");
+    t.true(document.querySelector(".lgv-bar[data-key='aaa']").classList.contains("dimmed"));
+
+});
+
+/******************** CANVAS ********************/
+
+// TEST SETRENDERER //
+test("setRenderer", t => {
+
+    let scc = new StackedConnections(testData, testWidth, testHeight, true, testPaddingCell, testPaddingText);
+    let events = [];
+
+    // jsdom has no canvas so only hit testing runs
+    document.defaultView.HTMLCanvasElement.prototype.getContext = () => null;
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    scc.setRenderer("canvas").render(document.body);
+
+    ["barmouseover", "barmouseout", "selectionchange"].forEach(type => document.body.addEventListener(type, e => events.push(e)));
+
+    // bars and connections are drawn, labels and annotations stay svg
+    t.true(document.querySelectorAll(`canvas.${configuration.name}-canvas`).length == 1);
+    t.true(document.querySelectorAll(".lgv-bar").length == 0);
+    t.true(document.querySelectorAll(".lgv-connection").length == 0);
+    t.true(document.querySelectorAll(".lgv-label").length > 0);
+    t.true(document.querySelectorAll(".lgv-annotation").length == scc.stacks.length);
+
+    // reading css for canvas leaves no shape behind for bar selectors to match
+    t.true(scc.canvasStyle("lgv-bar", { fill: "black", fillOpacity: 1 }).fill.length > 0);
+    t.true(document.querySelectorAll(".lgv-bar, .lgv-probe").length == 0);
+
+    // pointer over a bar is hit tested
+    let category = scc.stacks[0];
+    let rect = scc.barRect(category, category.series[0]);
+    let svg = document.querySelector(`svg.${configuration.name}`);
+    let pointer = (type, x, y) => svg.dispatchEvent(new document.defaultView.MouseEvent(type, { bubbles: true, clientX: x, clientY: y + scc.paddingAnnotations }));
+
+    pointer("mousemove", rect.x + 1, rect.y + 1);
+    pointer("mousemove", rect.x + 2, rect.y + 2);
+
+    t.true(events.length == 1);
+    t.true(events[0].type == "barmouseover");
+    t.true(events[0].detail.label == category.series[0].key);
+
+    pointer("mousemove", testWidth / 2, -scc.paddingAnnotations / 2);
+    t.true(events[1].type == "barmouseout");
+
+    // clicking selects through the canvas too
+    pointer("click", rect.x + 1, rect.y + 1);
+    t.deepEqual(scc.getSelection(), [category.series[0].key]);
+
+    // and empty space clears it
+    pointer("click", testWidth / 2, -scc.paddingAnnotations / 2);
+    t.true(scc.getSelection().length == 0);
+
+    // back to svg nodes
+    scc.setRenderer("svg");
+    t.true(document.querySelectorAll(`canvas.${configuration.name}-canvas`).length == 0);
+    t.true(document.querySelectorAll(".lgv-bar").length > 0);
+
+});
+
+/******************** COLOR ********************/
+
+// TEST SETCOLOR //
+test("setColor", t => {
+
+    let sco = new StackedConnections(testData, testWidth, testHeight, true, testPaddingCell, testPaddingText);
+    let fill = key => document.querySelector(`.lgv-bar[data-key='${key}']`).style.fill;
+    let legend = () => document.querySelector(`.${configuration.name}-legend`);
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    sco.render(document.body);
+
+    // css only by default
+    t.true(fill("aaa") == "");
+    t.true(legend() === null);
+
+    // categorical by item with connections following their source
+    sco.setColor({ by: "item", legend: true });
+
+    t.true(fill("aaa") != "");
+    t.true(fill("aaa") != fill("aab"));
+    t.true(document.querySelector(".lgv-connection[data-source='aaa']").style.fill == fill("aaa"));
+    t.true(legend().querySelectorAll("li").length == sco.stacks.flatMap(d => d.series).length);
+
+    // gradient between source and target
+    sco.setColor({ by: "stack", connections: "gradient" });
+
+    let connection = document.querySelector(".lgv-connection[data-source='aaa']");
+    let id = connection.style.fill.match(/#([^)"]+)/)[1];
+    let stops = document.getElementById(id).querySelectorAll("stop");
+
+    t.true(stops.length == 2);
+    t.true(stops[0].getAttribute("stop-color") != stops[1].getAttribute("stop-color"));
+    t.true(legend() === null);
+
+    // sequential by value with a ramp legend
+    sco.setColor({ by: "value", scale: ["#ffffff", "#000000"], legend: true });
+
+    t.true(fill("dde") == "rgb(0, 0, 0)");
+    t.true(legend().classList.contains(`${configuration.name}-legend-sequential`));
+    t.true(legend().querySelectorAll("li").length == 1);
+
+    // user function
+    sco.setColor(d => d.type == "bar" && d.stack == "stack1" ? "red" : "blue");
+
+    t.true(fill("aaa") == "red");
+    t.true(fill("bbb") == "blue");
+
+    // back to css
+    sco.setColor(null);
+    t.true(fill("aaa") == "");
+    t.true(document.querySelectorAll(".lgv-gradients").length == 0);
+
+});
+
+/******************** OPTIONS ********************/
+
+// TEST OPTIONS //
+test("init_options", t => {
+
+    let sco = new StackedConnections(testData, { width: testWidth, height: testHeight, paddingStackCell: testPaddingCell, bandPadding: 0.5, orientation: "horizontal" });
+
+    t.true(sco.width === testWidth);
+    t.true(sco.height === testHeight);
+    t.true(sco.paddingStackCell === testPaddingCell);
+    t.true(sco.paddingStackText === configurationLayout.paddingStackText);
+    t.true(sco.bandPadding === 0.5);
+    t.true(sco.isHorizontal);
+    t.true(sco.paddingAnnotations === sco.artboardUnit * 2);
+
+    // invalid options fall back to defaults or throw in strict mode
+    t.true(new StackedConnections(testData, { bandPadding: 5 }).bandPadding === configurationLayout.bandPadding);
+    t.throws(() => new StackedConnections(testData, { bandPadding: 5, strict: true }), { name: "ValidationError" });
+
+});
+
+// TEST SETTERS //
+test("setOptions", t => {
+
+    let sco = new StackedConnections(testData, { width: testWidth, height: testHeight });
+    let attribute = (selector, name) => document.querySelector(selector).getAttribute(name);
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    sco.render(document.body);
+
+    let width = parseFloat(attribute(".lgv-bar", "width"));
+    let path = attribute(".lgv-connection", "d");
+    let rect = parseFloat(attribute(".lgv-label rect", "height"));
+
+    t.true(sco.setBandPadding(0.5) === sco);
+    t.true(parseFloat(attribute(".lgv-bar", "width")) > width);
+
+    sco.setCurve(0.1);
+    t.true(attribute(".lgv-connection", "d") != path);
+
+    sco.setLabelBackgroundHeight(2);
+    t.true(parseFloat(attribute(".lgv-label rect", "height")) > rect);
+
+    sco.setPaddingAnnotations(50);
+    t.true(attribute(".artwork", "transform") == "translate(0,50)");
+
+    sco.setOptions({ paddingAnnotations: null, paddingStackText: 4 });
+    t.true(sco.paddingAnnotations === sco.artboardUnit * 2);
+    t.true(sco.paddingStackText === 4);
+
+});
+
+// TEST UPDATE SIZE //
+test("update_size", t => {
+
+    let sco = new StackedConnections(testData, { width: testWidth, height: testHeight });
+    let viewBox = () => document.querySelector(`svg.${configuration.name}`).getAttribute("viewBox");
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    sco.render(document.body);
+
+    // a new size is an option change like any other
+    sco.update(testData, testWidth * 2, testHeight * 2);
+    t.true(sco.options.width === testWidth * 2 && sco.options.height === testHeight * 2);
+
+    sco.setOptions({ width: testWidth, height: testHeight });
+    t.true(viewBox() == `0 0 ${testWidth} ${testHeight}`);
+
+    // and no size keeps the current one
+    sco.update(testDataValues);
+    t.true(viewBox() == `0 0 ${testWidth} ${testHeight}`);
+    t.false(document.querySelector(".lgv-bar").getAttribute("height").includes("NaN"));
+
+});
+
+/******************** SCALE ********************/
+
+// TEST SETSCALE //
+test("setScale", t => {
+
+    let scs = new StackedConnections(testData, { width: testWidth, height: testHeight, paddingStackCell: testPaddingCell });
+    let length = stack => stack.series.reduce((a, d) => a + stack.scale(d[0][1]) - stack.scale(d[0][0]), 0);
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    scs.render(document.body);
+
+    // independent stacks each fill the same length
+    t.true(Math.abs(length(scs.stacks[0]) - length(scs.stacks[2])) < 0.0001);
+
+    t.true(scs.setScale("shared", "bottom") === scs);
+
+    // shared stacks are proportional to their totals
+    t.true(Math.abs(length(scs.stacks[0]) / length(scs.stacks[2]) - 6 / 17) < 0.0001);
+
+    // and end together at the bottom
+    let ends = scs.stacks.map(s => scs.itemExtent(s, s.series[s.series.length - 1].key)[1]);
+    t.true(ends.every(d => Math.abs(d - ends[2]) < 0.0001));
+    t.true(scs.stacks[0].offset > 0 && scs.stacks[2].offset === 0);
+
+    // or centered with half the space on either side
+    let offset = scs.stacks[0].offset;
+    scs.setScale("shared", "center");
+    t.true(Math.abs(scs.stacks[0].offset - offset / 2) < 0.0001);
+
+    // invalid alignment keeps the previous one
+    scs.setOptions({ align: "middle" });
+    t.true(scs.align === "center");
+
+});
+
+/******************** OTHER ********************/
+
+// TEST EXPANDOTHER //
+test("expandOther", t => {
+
+    let sco = new StackedConnections(testData, { width: testWidth, height: testHeight, otherLimit: 2 });
+    let events = [];
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    sco.render(document.body);
+
+    let other = document.querySelector(".lgv-bar.lgv-other");
+
+    // smallest items fold into a last item per stack labeled Other
+    t.true(document.querySelectorAll(".lgv-other").length == 3);
+    t.true(sco.stacks[0].series.map(d => d.key).pop() == "Other (stack1)");
+    t.true(sco.generateLabelLayout(sco.stacks[0], "Other (stack1)").text == "Other");
+    t.true(sco.getPaths("Other (stack1)").length == 1);
+
+    // clicking an Other bar expands its stack
+    document.querySelector("svg").addEventListener("otherexpand", e => events.push(e.detail));
+    other.dispatchEvent(new document.defaultView.MouseEvent("click", { bubbles: true }));
+
+    t.deepEqual(events[0].stacks, ["stack1"]);
+    t.deepEqual(events[0].others[0].keys, ["aaa"]);
+    t.true(sco.stacks[0].series.length == 3);
+    t.true(sco.selection.length == 0);
+
+    // and collapsing folds it again
+    t.true(sco.collapseOther("stack1") === sco);
+    t.true(sco.stacks[0].series.length == 3 && sco.others.has("Other (stack1)"));
+
+    // rules can change after render
+    sco.setOptions({ otherLimit: null, otherMinPercent: 40 });
+    t.deepEqual(sco.stacks[1].series.map(d => d.key), ["bbc", "Other (stack2)"]);
+
+});
+
+/******************** RESPONSIVE ********************/
+
+// TEST SETRESPONSIVE //
+test.serial("setResponsive", async t => {
+
+    let view = document.defaultView;
+    let observers = [];
+
+    // jsdom has no resize observer so record what is watched
+    view.ResizeObserver = class {
+        constructor(callback) { this.callback = callback; this.nodes = []; observers.push(this); }
+        disconnect() { this.nodes = []; }
+        observe(node) { this.nodes.push(node); }
+    };
+
+    let scr = new StackedConnections(testData, { width: testWidth, height: testHeight, minWidth: 200, resizeDelay: 0, responsive: true });
+    let wait = () => new Promise(resolve => setTimeout(resolve, 10));
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    scr.render(document.body);
+
+    t.true(observers.length == 1 && observers[0].nodes[0] === document.body);
+    t.true(document.querySelector("svg").getAttribute("width") == testWidth);
+    t.true(document.querySelectorAll(".lgv-labels .lgv-label").length > 0);
+
+    // resizes settle before laying out again and only follow the width
+    t.true(document.querySelector("svg").style.display == "block");
+    observers[0].callback([{ contentRect: { height: 0, width: 400 } }]);
+    observers[0].callback([{ contentRect: { height: 250, width: 420 } }]);
+    await wait();
+
+    t.true(scr.width == 420 && scr.height == testHeight);
+    t.true(document.querySelector("svg").getAttribute("viewBox") == `0 0 420 ${testHeight}`);
+
+    // the height is followed on request
+    scr.setResponsive("both");
+    observers[observers.length - 1].callback([{ contentRect: { height: 250, width: 420 } }]);
+    await wait();
+
+    t.true(scr.width == 420 && scr.height == 250);
+    t.true(document.querySelector("svg").getAttribute("viewBox") == "0 0 420 250");
+
+    // the font unit is read again
+    document.body.style.fontSize = "20px";
+    observers[observers.length - 1].callback([{ contentRect: { height: 250, width: 420 } }]);
+    await wait();
+
+    t.true(scr.artboardUnit == 20);
+    t.true(scr.paddingAnnotations == 40);
+
+    // below the minimum width labels are dropped
+    observers[observers.length - 1].callback([{ contentRect: { height: 250, width: 150 } }]);
+    await wait();
+
+    t.true(scr.isCompact);
+    t.true(document.querySelectorAll(".lgv-labels .lgv-label").length == 0);
+
+    // turning it off stops watching
+    t.true(scr.setResponsive(false) === scr);
+    t.true(observers.every(d => d.nodes.length == 0) && scr.resizeObserver === null);
+    t.true(document.querySelector("svg").getAttribute("width") === null);
+
+    document.body.style.fontSize = "";
+    delete view.ResizeObserver;
+
+});
+
+/******************** SUBSCRIPTIONS ********************/
+
+// TEST ON/OFF //
+test("on_off", t => {
+
+    let sce = new StackedConnections(testData, { width: testWidth, height: testHeight });
+    let events = [];
+    let record = e => events.push(e);
+
+    t.true(sce.on("render", record).on("update", record).on("barclick", record).on("barmouseover", record) === sce);
+    t.throws(() => sce.on("render", null), { instanceOf: TypeError });
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    sce.render(document.body);
+    sce.setCurve(0.2);
+
+    t.deepEqual(events.map(d => d.type), ["render", "update"]);
+    t.true(events[0].chart === sce && events[0].detail.width == testWidth);
+    t.deepEqual(events[1].detail.stacks, ["stack1", "stack2", "stack3", "stack4"]);
+
+    // bar events share one payload
+    let bar = document.querySelector(".lgv-bar[data-key='aaa']");
+    bar.dispatchEvent(new document.defaultView.MouseEvent("mouseover", { bubbles: true }));
+    bar.dispatchEvent(new document.defaultView.MouseEvent("click", { bubbles: true }));
+
+    t.deepEqual(events.slice(2).map(d => d.type), ["barmouseover", "barclick"]);
+    t.deepEqual(Object.keys(events[3].detail), ["key", "label", "paths", "stack", "value", "xy"]);
+    t.true(events[3].detail.stack == "stack1" && events[3].detail.value == 1);
+
+    // unsubscribing one handler or every handler of an event
+    sce.off("barclick", record).off("update");
+    sce.setCurve(0.3);
+    bar.dispatchEvent(new document.defaultView.MouseEvent("click", { bubbles: true }));
+
+    t.true(events.length == 4);
+
+});
+
+// TEST DESTROY //
+test("destroy", t => {
+
+    let scd = new StackedConnections(testData, { width: testWidth, height: testHeight, color: { by: "stack" } });
+    let events = [];
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    scd.setTooltip().on("destroy", e => events.push(e)).render(document.body);
+
+    t.true(document.querySelector("svg") !== null);
+
+    scd.destroy();
+
+    t.true(events.length == 1);
+    t.true(document.body.children.length == 0);
+    t.true(scd.artboard === null && scd.container === null && scd.listeners.size == 0);
+
+});
+
+/******************** COMPARE ********************/
+
+// TEST COMPARE //
+test("compare", t => {
+
+    let previous = {
+        stacks: [
+            { "stack1": { "aaa": 2, "aab": 2, "aac": 3 } },
+            { "stack2": { "bbb": 2, "bbc": 5 } },
+            { "stack3": { "ccc": 1, "ccd": 7 } },
+            { "stack4": { "ddd": 5, "dde": 11, "ddf": 0 } }
+        ],
+        connections: [
+            { "source": "aaa", "target": "bbb" },
+            { "source": "aab", "target": "bbc" }
+        ]
+    };
+
+    let scc = new StackedConnections(testData, { width: testWidth, height: testHeight });
+    let change = key => document.querySelector(`.lgv-bar[data-key='${key}']`).getAttribute("data-change");
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    scc.render(document.body);
+
+    let diff = scc.compare(previous);
+
+    t.true(diff === scc.comparison);
+    t.true(diff.items.find(d => d.key === "aaa").status == "decreased");
+
+    // bars and labels show the change
+    t.true(change("aaa") == "decreased" && change("cce") == "added" && change("bbb") == "unchanged");
+    t.true(document.querySelectorAll(".lgv-delta").length == 2);
+    t.true(document.querySelector(".lgv-label[data-key='aaa'] .lgv-change").textContent == "-1 (-11.90 pt)");
+    t.true(document.querySelector(".lgv-label[data-key='cce'] .lgv-change").textContent == "new");
+
+    // connections added or removed since the previous data
+    t.true(document.querySelector(".lgv-connection[data-change='added']") !== null);
+    t.true(document.querySelectorAll(".lgv-connection-removed").length == 1);
+
+    // and no longer when comparison stops
+    t.true(scc.compare(null) === null);
+    t.true(document.querySelectorAll(".lgv-delta, .lgv-change, .lgv-connection-removed").length == 0);
+
+});
+
+/******************** PLAYBACK ********************/
+
+// TEST SETFRAMES //
+test.serial("setFrames", async t => {
+
+    let frames = [
+        { time: "2024-01-01", data: { stacks: [{ "stack1": { "aaa": 5, "aab": 1 } }, { "stack2": { "bbb": 2, "bbc": 4 } }], connections: [{ "source": "aaa", "target": "bbb" }] } },
+        { time: "2024-02-01", data: { stacks: [{ "stack1": { "aaa": 1, "aab": 4 } }, { "stack2": { "bbb": 5, "bbc": 1 } }], connections: [{ "source": "aab", "target": "bbc" }] } },
+        { time: "2024-03-01", data: { stacks: [{ "stack1": { "aaa": 2, "aab": 3, "aac": 1 } }, { "stack2": { "bbb": 3, "bbc": 3 } }], connections: [] } }
+    ];
+
+    let scf = new StackedConnections(null, { width: testWidth, height: testHeight, frameDuration: 0 });
+    let events = [];
+    let order = () => scf.stacks.map(d => d.series.map(x => x.key));
+    let wait = () => new Promise(resolve => setTimeout(resolve, 50));
+
+    // clear document
+    document.body.innerHTML = "";
+
+    // render to dom
+    scf.render(document.body);
+    scf.on("framechange", e => events.push(e.detail));
+
+    t.true(scf.setFrames(frames) === scf);
+    t.true(scf.frameLayouts.size == 3);
+    t.deepEqual(events[0], { count: 3, index: 0, isPlaying: false, time: "2024-01-01" });
+
+    // order stays the same even when values swap
+    let first = order();
+    scf.setFrame(1);
+    t.deepEqual(order(), first);
+    t.true(parseFloat(document.querySelector(".lgv-bar[data-key='aab']").getAttribute("height")) > parseFloat(document.querySelector(".lgv-bar[data-key='aaa']").getAttribute("height")));
+
+    // items appearing later follow the shared order
+    scf.setFrame(5);
+    t.true(scf.frameIndex == 2);
+    t.deepEqual(order()[0], first[0].concat(["aac"]));
+
+    // seek to the last frame at or before a time
+    scf.seek(new Date("2024-02-15"));
+    t.true(scf.frameIndex == 1);
+
+    // play to the end and stop
+    scf.play();
+    t.true(scf.frameDetail().isPlaying);
+    await wait();
+
+    t.deepEqual(events[events.length - 1], { count: 3, index: 2, isPlaying: false, time: "2024-03-01" });
+    t.true(scf.frameIndex == 2 && scf.playTimer === null);
+
+    // pausing stops before the end
+    scf.setFrame(0).play().pause();
+    await wait();
+    t.true(scf.frameIndex == 0);
+
+    // frames are laid out again for a new size
+    let height = key => parseFloat(document.querySelector(`.lgv-bar[data-key='${key}']`).getAttribute("height"));
+    let before = height("aaa");
+
+    scf.resize(testWidth, testHeight * 2);
+    t.true(scf.frameLayouts.size == 1);
+    t.true(height("aaa") > before);
+
+    scf.update(frames[0].data, testWidth, testHeight);
+    scf.setFrame(0, 0);
+    t.true(Math.abs(height("aaa") - before) < 0.0001);
+
+    scf.update(frames[0].data, testWidth, testHeight * 2);
+    scf.setFrame(0, 0);
+    t.true(height("aaa") > before);
+
+    // data from update ends playback and follows the order option
+    let data = { stacks: [{ "stack1": { "aaa": 1, "zzz": 50 } }, { "stack2": { "bbb": 2 } }], connections: [] };
+
+    scf.setFrame(0, 0).play();
+    scf.update(data);
+    await wait();
+
+    t.true(scf.frameIndex === null && !scf.frameDetail().isPlaying);
+    t.true(scf.dataSource === data);
+    t.deepEqual(order()[0], ["zzz", "aaa"]);
+
+});
@@ -22,9 +22,28 @@ const webpackConfig = {
         new webpack.DefinePlugin({
             "process.env": {
                 "DIMENSION_HEIGHT": JSON.stringify(process.DIMENSION_HEIGHT),
+                "DIMENSION_MIN_HEIGHT": JSON.stringify(process.DIMENSION_MIN_HEIGHT),
+                "DIMENSION_MIN_WIDTH": JSON.stringify(process.DIMENSION_MIN_WIDTH),
                 "DIMENSION_WIDTH": JSON.stringify(process.DIMENSION_WIDTH),
+                "LAYOUT_ALIGN": JSON.stringify(process.LAYOUT_ALIGN),
+                "LAYOUT_BAND_PADDING": JSON.stringify(process.LAYOUT_BAND_PADDING),
+                "LAYOUT_CURVE": JSON.stringify(process.LAYOUT_CURVE),
+                "LAYOUT_LABEL_BACKGROUND_HEIGHT": JSON.stringify(process.LAYOUT_LABEL_BACKGROUND_HEIGHT),
+                "LAYOUT_LABEL_LINE_HEIGHT": JSON.stringify(process.LAYOUT_LABEL_LINE_HEIGHT),
+                "LAYOUT_LABEL_MAX_WIDTH": JSON.stringify(process.LAYOUT_LABEL_MAX_WIDTH),
+                "LAYOUT_LABEL_MIN_PERCENT": JSON.stringify(process.LAYOUT_LABEL_MIN_PERCENT),
+                "LAYOUT_LABEL_OVERFLOW": JSON.stringify(process.LAYOUT_LABEL_OVERFLOW),
+                "LAYOUT_ORDER": JSON.stringify(process.LAYOUT_ORDER),
+                "LAYOUT_ORIENTATION": JSON.stringify(process.LAYOUT_ORIENTATION),
+                "LAYOUT_PADDING_ANNOTATIONS": JSON.stringify(process.LAYOUT_PADDING_ANNOTATIONS),
                 "LAYOUT_PADDING_STACK_CELL": JSON.stringify(process.LAYOUT_PADDING_STACK_CELL),
-                "LAYOUT_PADDING_STACK_TEXT": JSON.stringify(process.LAYOUT_PADDING_STACK_TEXT)
+                "LAYOUT_PADDING_STACK_TEXT": JSON.stringify(process.LAYOUT_PADDING_STACK_TEXT),
+                "LAYOUT_SCALE": JSON.stringify(process.LAYOUT_SCALE),
+                "STYLE_FONT_FAMILY": JSON.stringify(process.STYLE_FONT_FAMILY),
+                "STYLE_OPACITY_DIMMED": JSON.stringify(process.STYLE_OPACITY_DIMMED),
+                "STYLE_RENDERER": JSON.stringify(process.STYLE_RENDERER),
+                "TRANSITION_DURATION": JSON.stringify(process.TRANSITION_DURATION),
+                "TRANSITION_FRAME_DURATION": JSON.stringify(process.TRANSITION_FRAME_DURATION)
             }
         })
     ],